@@ -0,0 +1,210 @@
+import { LightningElement, api, track } from 'lwc';
+import getConversationAnalytics from '@salesforce/apex/AgentGPTController.getConversationAnalytics';
+import LOCALE from '@salesforce/i18n/locale';
+import { dateKeyToMs, formatCalendarDay, formatNumber, formatLabel, pluralLabel } from 'c/conversationUtils';
+import { LABELS } from 'c/conversationLabels';
+
+const LOOKBACK_OPTIONS = [7, 30, 90, 180, 365];
+const DEFAULT_LOOKBACK_DAYS = 30;
+const CUSTOM_RANGE = 'custom';
+
+/**
+ * Adoption dashboard: conversations per day, sessions per agent, average turns and duration, and busiest
+ * hours for a date range. Aggregation happens in Data Cloud; charts are plain SVG (c-analytics-bar-chart).
+ */
+export default class AgentConversationAnalytics extends LightningElement {
+    /** Optional user or public group ID to report on (supervisor mode) */
+    @api viewAsId;
+    label = LABELS;
+    @track analytics;
+    @track isLoading = true;
+    @track error;
+    period = String(DEFAULT_LOOKBACK_DAYS);
+    customStart;
+    customEnd;
+    /** Incremented on every reload so responses for an old range are ignored. */
+    requestId = 0;
+
+    connectedCallback() {
+        this.loadAnalytics();
+    }
+
+    get periodOptions() {
+        return [
+            ...LOOKBACK_OPTIONS.map(days => ({ label: pluralLabel(LABELS.lastDays, days), value: String(days) })),
+            { label: LABELS.customRange, value: CUSTOM_RANGE }
+        ];
+    }
+
+    get isCustomRange() {
+        return this.period === CUSTOM_RANGE;
+    }
+
+    /**
+     * Apex range parameters; custom dates are whole days in the browser's time zone (end inclusive)
+     */
+    get rangeParams() {
+        if (this.isCustomRange) {
+            return {
+                daysLookback: null,
+                startTime: this.toDayStart(this.customStart, 0),
+                endTime: this.toDayStart(this.customEnd, 1)
+            };
+        }
+        return { daysLookback: Number(this.period), startTime: null, endTime: null };
+    }
+
+    get hasSessions() {
+        return !!(this.analytics && this.analytics.totalSessions > 0);
+    }
+
+    get showEmptyState() {
+        return !this.isLoading && !this.error && !this.hasSessions;
+    }
+
+    get totalSessionsLabel() {
+        return this.analytics ? formatNumber(this.analytics.totalSessions) : '–';
+    }
+
+    get avgTurnsLabel() {
+        const value = this.analytics && this.analytics.avgTurnsPerSession;
+        return value === null || value === undefined ? '–' : formatNumber(value);
+    }
+
+    get avgDurationLabel() {
+        const value = this.analytics && this.analytics.avgDurationSeconds;
+        return value === null || value === undefined ? '–' : this.formatDuration(value);
+    }
+
+    get busiestHourLabel() {
+        const hours = (this.analytics && this.analytics.sessionsPerHour) || [];
+        const busiest = hours.reduce((best, bucket) => (!best || bucket.sessionCount > best.sessionCount ? bucket : best), null);
+        return busiest && busiest.sessionCount > 0 ? this.formatHour(Number(busiest.label)) : '–';
+    }
+
+    get dailyBuckets() {
+        const days = (this.analytics && this.analytics.sessionsPerDay) || [];
+        return days.map(bucket => {
+            const label = this.formatDay(bucket.label);
+            return {
+                key: bucket.label,
+                label,
+                value: bucket.sessionCount,
+                tooltip: `${label}: ${this.formatCount(bucket.sessionCount)}`
+            };
+        });
+    }
+
+    get hourlyBuckets() {
+        const hours = (this.analytics && this.analytics.sessionsPerHour) || [];
+        return hours.map(bucket => {
+            const label = this.formatHour(Number(bucket.label));
+            return {
+                key: bucket.label,
+                label,
+                value: bucket.sessionCount,
+                tooltip: `${label}: ${this.formatCount(bucket.sessionCount)}`
+            };
+        });
+    }
+
+    get agentRows() {
+        const agents = (this.analytics && this.analytics.agents) || [];
+        const maxCount = Math.max(1, ...agents.map(agent => agent.sessionCount));
+        return agents.map(agent => ({
+            ...agent,
+            avgTurnsLabel: agent.avgTurns === null || agent.avgTurns === undefined ? '–' : formatNumber(agent.avgTurns),
+            avgDurationLabel: agent.avgDurationSeconds === null || agent.avgDurationSeconds === undefined
+                ? '–'
+                : this.formatDuration(agent.avgDurationSeconds),
+            barStyle: `width: ${Math.round((agent.sessionCount / maxCount) * 100)}%`
+        }));
+    }
+
+    get hasAgentRows() {
+        return this.agentRows.length > 0;
+    }
+
+    get timeZoneNote() {
+        return this.analytics && this.analytics.userTimeZone ? formatLabel(LABELS.analyticsTimeZone, this.analytics.userTimeZone) : '';
+    }
+
+    handlePeriodChange(event) {
+        this.period = event.detail.value;
+        if (!this.isCustomRange) {
+            this.loadAnalytics();
+        } else if (this.customStart && this.customEnd) {
+            this.loadCustomRange();
+        }
+    }
+
+    handleCustomStartChange(event) {
+        this.customStart = event.detail.value;
+        this.loadCustomRange();
+    }
+
+    handleCustomEndChange(event) {
+        this.customEnd = event.detail.value;
+        this.loadCustomRange();
+    }
+
+    loadCustomRange() {
+        if (!this.customStart || !this.customEnd) return;
+        if (this.customStart > this.customEnd) {
+            this.error = LABELS.dateRangeOrder;
+            return;
+        }
+        this.loadAnalytics();
+    }
+
+    async loadAnalytics() {
+        const requestId = ++this.requestId;
+        this.isLoading = true;
+        this.error = undefined;
+        try {
+            const analytics = await getConversationAnalytics({
+                ...this.rangeParams,
+                agentNames: null,
+                viewAsId: this.viewAsId || null
+            });
+            if (requestId !== this.requestId) return;
+            this.analytics = analytics;
+        } catch (e) {
+            if (requestId !== this.requestId) return;
+            this.analytics = undefined;
+            this.error = (e && e.body && e.body.message) || LABELS.errorLoadingAnalytics;
+        } finally {
+            if (requestId === this.requestId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    toDayStart(dateKey, addDays) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day + addDays).toISOString();
+    }
+
+    /** "Oct 5" for a yyyy-MM-dd bucket */
+    formatDay(dateKey) {
+        return formatCalendarDay(dateKeyToMs(dateKey), { month: 'short', day: 'numeric' });
+    }
+
+    /** "2 PM" (or "14" in 24-hour locales) for an hour of day */
+    formatHour(hour) {
+        return new Date(Date.UTC(2000, 0, 1, hour)).toLocaleTimeString(LOCALE, { timeZone: 'UTC', hour: 'numeric' });
+    }
+
+    /** "45s", "3m 20s" or "1h 5m" */
+    formatDuration(totalSeconds) {
+        const seconds = Math.round(totalSeconds);
+        if (seconds < 60) return formatLabel(LABELS.durationSeconds, seconds);
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return formatLabel(LABELS.durationMinutes, minutes, seconds % 60);
+        return formatLabel(LABELS.durationHours, Math.floor(minutes / 60), minutes % 60);
+    }
+
+    formatCount(count) {
+        return pluralLabel(LABELS.conversationCount, count);
+    }
+}
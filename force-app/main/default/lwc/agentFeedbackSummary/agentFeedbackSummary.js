@@ -0,0 +1,79 @@
+import { LightningElement, track } from 'lwc';
+import getAgentFeedbackSummary from '@salesforce/apex/AgentGPTController.getAgentFeedbackSummary';
+import hasFeedbackReports from '@salesforce/customPermission/Agent_Feedback_Reports';
+import { formatNumber, pluralLabel } from 'c/conversationUtils';
+import { LABELS } from 'c/conversationLabels';
+
+const LOOKBACK_OPTIONS = [7, 30, 90, 365];
+const DEFAULT_LOOKBACK_DAYS = 30;
+
+/**
+ * Per-agent feedback totals (helpful / not helpful and helpful share) for agent builders.
+ * Renders nothing for users without the Agent_Feedback_Reports custom permission.
+ */
+export default class AgentFeedbackSummary extends LightningElement {
+    label = LABELS;
+    @track rows = [];
+    @track isLoading = true;
+    @track error;
+    daysLookback = DEFAULT_LOOKBACK_DAYS;
+    /** Incremented on every reload so responses for an old lookback are ignored. */
+    requestId = 0;
+
+    connectedCallback() {
+        if (this.canViewReports) {
+            this.loadSummary();
+        }
+    }
+
+    get canViewReports() {
+        return !!hasFeedbackReports;
+    }
+
+    get lookbackOptions() {
+        return LOOKBACK_OPTIONS.map(days => ({ label: pluralLabel(LABELS.lastDays, days), value: String(days) }));
+    }
+
+    get lookbackValue() {
+        return String(this.daysLookback);
+    }
+
+    get hasRows() {
+        return this.rows.length > 0;
+    }
+
+    handleLookbackChange(event) {
+        this.daysLookback = Number(event.detail.value);
+        this.loadSummary();
+    }
+
+    async loadSummary() {
+        const requestId = ++this.requestId;
+        this.isLoading = true;
+        this.error = undefined;
+        try {
+            const summaries = await getAgentFeedbackSummary({ daysLookback: this.daysLookback });
+            if (requestId !== this.requestId) return;
+            this.rows = (summaries || []).map(summary => this.processSummary(summary));
+        } catch (e) {
+            if (requestId !== this.requestId) return;
+            this.rows = [];
+            this.error = (e && e.body && e.body.message) || LABELS.errorLoadingFeedback;
+        } finally {
+            if (requestId === this.requestId) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    processSummary(summary) {
+        const percent = summary.helpfulPercent;
+        const hasPercent = percent !== null && percent !== undefined;
+        return {
+            ...summary,
+            helpfulPercentLabel: hasPercent ? formatNumber(percent / 100, { style: 'percent', maximumFractionDigits: 1 }) : '–',
+            barStyle: `width: ${hasPercent ? percent : 0}%`,
+            barClass: hasPercent && percent < 50 ? 'helpful-bar low' : 'helpful-bar'
+        };
+    }
+}
@@ -1,312 +1,1739 @@
-import { LightningElement, wire, track } from 'lwc';
-import { refreshApex } from '@salesforce/apex';
-import getUserSessions from '@salesforce/apex/AgentGPTController.getUserSessions';
+import { LightningElement, api, wire, track } from 'lwc';
+import getUserSessionsPage from '@salesforce/apex/AgentGPTController.getUserSessionsPage';
+import getAgentFacets from '@salesforce/apex/AgentGPTController.getAgentFacets';
+import searchSessions from '@salesforce/apex/AgentGPTController.searchSessions';
+import getSessionDetail from '@salesforce/apex/AgentGPTController.getSessionDetail';
 import getCurrentUserTimeZone from '@salesforce/apex/AgentGPTController.getCurrentUserTimeZone';
-import generateSessionTitle from '@salesforce/apex/AgentGPTController.generateSessionTitle';
+import requestSessionTitles from '@salesforce/apex/AgentGPTController.requestSessionTitles';
+import getSessionTitles from '@salesforce/apex/AgentGPTController.getSessionTitles';
+import getSessionSummary from '@salesforce/apex/AgentGPTController.getSessionSummary';
+import saveSessionPreference from '@salesforce/apex/AgentGPTController.saveSessionPreference';
+import getMessageFeedback from '@salesforce/apex/AgentGPTController.getMessageFeedback';
+import getSessionTrace from '@salesforce/apex/AgentGPTController.getSessionTrace';
+import getRecordSessions from '@salesforce/apex/AgentGPTController.getRecordSessions';
+import searchReviewTargets from '@salesforce/apex/AgentGPTController.searchReviewTargets';
+import revealMessage from '@salesforce/apex/AgentGPTController.revealMessage';
+import getLiveUpdates from '@salesforce/apex/AgentGPTController.getLiveUpdates';
+import canReviewOthers from '@salesforce/customPermission/View_Others_Agent_Conversations';
+import canViewUnmasked from '@salesforce/customPermission/View_Unmasked_Conversations';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import { renderMessageContent } from 'c/messageFormatter';
+import { CurrentPageReference, NavigationMixin } from 'lightning/navigation';
+import { EXPORT_FORMATS, buildTranscript, buildFileName, downloadFile } from 'c/transcriptExporter';
+import { countMessageMatches } from 'c/messageFormatter';
 import loadingIconUrl from '@salesforce/resourceUrl/LWCLoadingIcon';
 import agentAstroUrl from '@salesforce/resourceUrl/AgentAstro';
+import FIRST_DAY_OF_WEEK from '@salesforce/i18n/firstDayOfWeek';
+import {
+    DAY_MS,
+    formatDate,
+    formatTime,
+    formatCalendarDay,
+    getRoleLabel,
+    getDateKey,
+    dateKeyToMs,
+    shiftDateKey,
+    getCalendarDayMs,
+    getZonedDayStart,
+    reduceErrors,
+    formatNumber,
+    formatLabel,
+    pluralLabel,
+    handleListboxKeyDown,
+    createLivePoller,
+    getNewMessages,
+    LIVE_INGESTION_ALLOWANCE_MS,
+    TEXT_DIRECTION,
+    IS_RTL
+} from 'c/conversationUtils';
+import { LABELS } from 'c/conversationLabels';
 
-export default class AgentGPT extends LightningElement {
+const SESSION_PAGE_SIZE = 20;
+/** Start loading the next page when the sidebar is scrolled within this many pixels of the bottom. */
+const INFINITE_SCROLL_THRESHOLD_PX = 120;
+/** Lookback choices in the filter menu (days). */
+const LOOKBACK_OPTIONS = [7, 30, 90, 180, 365];
+/** Ranges at least this long are grouped by week and month instead of Today / Yesterday / Previous N Days. */
+const CALENDAR_GROUPING_MIN_DAYS = 31;
+/** Record pages start with a longer lookback: conversations about a record are rarer than conversations overall. */
+const RECORD_PAGE_LOOKBACK_DAYS = 90;
+/** Title placeholder set by Apex until a stored title exists. */
+const TITLE_PLACEHOLDER = LABELS.titlePlaceholder;
+/** Poll for titles generated by the background job every few seconds, giving up after about a minute. */
+const TITLE_POLL_INTERVAL_MS = 3000;
+const TITLE_POLL_ATTEMPTS = 20;
+/** Messages arriving while the reader is within this many pixels of the bottom scroll into view by themselves. */
+const NEW_MESSAGES_BOTTOM_THRESHOLD_PX = 80;
+
+export default class AgentGPT extends NavigationMixin(LightningElement) {
+    /** Set on record pages: only conversations that reference this record are shown. */
+    @api recordId;
+    /** Custom Labels for the template */
+    label = LABELS;
+    /** Text direction of the user's language, for right-to-left layouts */
+    textDirection = TEXT_DIRECTION;
     @track sessions = [];
-    @track selectedSession = null;
+    @track _selectedSession = null;
+    /** Current page reference; its c__sessionId / c__messageIndex state deep-links to a conversation. */
+    pageRef;
     @track dateFilter = 7;
+    /** Custom date range as calendar days in the user's timezone ({ start, end } as YYYY-MM-DD, end inclusive). */
+    @track customRange = null;
+    @track isDateRangeOpen = false;
+    @track draftStartDate = '';
+    @track draftEndDate = '';
+    @track dateRangeError = '';
+    /** Agents in the current date range with session counts ({ agentName, sessionCount }). */
+    @track agentFacets = [];
+    /** Agent API names the sidebar is narrowed to (empty = all agents). */
+    @track selectedAgents = [];
+    @track isAgentFilterOpen = false;
+    /** Sidebar grouping: 'date' or 'agent'. */
+    @track groupBy = 'date';
+    /** Incremented on every facet reload so responses for an old range are ignored. */
+    facetRequestId = 0;
     @track isLoading = true;
     /** Keyword for client-side filtering of loaded conversations (title, agent, message text). */
     @track searchKeyword = '';
     /** User timezone from Salesforce for consistent date/time display (matches Data Cloud expectation). */
     userTimeZone = null;
+    /** Keyset cursor for the next sidebar page (null when everything in range is loaded). */
+    nextCursor = null;
+    @track hasMoreSessions = false;
+    @track isLoadingMore = false;
+    /** Incremented on every reload so responses for an old filter are ignored. */
+    loadRequestId = 0;
+    /** Server-side search results (null when the sidebar shows the normal history list). */
+    @track searchResults = null;
+    @track isSearchingServer = false;
+    /** Text for the polite live region: loading progress and search result counts for screen readers. */
+    @track liveMessage = '';
+    /** Term the current searchResults were produced for. */
+    serverSearchTerm = '';
+    /** Term marked inside message bubbles after jumping to a search match. */
+    @track highlightTerm = '';
+    /** Message timestamp to scroll to once the selected session has rendered. */
+    pendingScrollTimestamp = null;
+    /** Find-in-conversation bar (Ctrl+F): open state, term and zero-based current match. */
+    @track isFindOpen = false;
+    @track findTerm = '';
+    @track findIndex = 0;
+    /** Find-bar matches per message of the open session (counted when the term or session changes). */
+    findCounts = [];
+    /** Focus the find bar's input once it has rendered. */
+    pendingFindFocus = false;
+    /** Session IDs with a title request in flight (pages load while earlier titles are still generating). */
+    pendingTitleIds = new Set();
+    /** AI summary panel per session ID: { summary, isLoading, error, isExpanded } (absent until Summarize is clicked). */
+    @track summaryState = {};
+    /** Reasoning trace per session ID: { interactions (by interaction ID), isLoading, error }, loaded on first open. */
+    @track traceState = {};
+    /** Open trace drawers, keyed by session ID and message timestamp. */
+    @track openTraces = {};
+    /** Pinned sessions outside the loaded date range (listed only because they are pinned). */
+    pinnedOnlyIds = new Set();
+    @track isRenaming = false;
+    @track isShareOpen = false;
+    @track draftTitle = '';
+    /** The user's ratings per session ID: { [messageTimestamp]: { rating, comment } }, loaded when a session opens. */
+    @track feedbackState = {};
+    /** Stops title polling once the component is removed. */
+    isDisconnected = false;
+    /** Supervisor mode: user or public group being reviewed ({ id, name, type }), null for own conversations. */
+    @track reviewTarget = null;
+    @track isReviewPickerOpen = false;
+    @track reviewSearchTerm = '';
+    @track reviewTargetResults = [];
+    @track isSearchingReviewTargets = false;
+    /** Live mode: new sessions and messages are polled for while the tab stays open (on by default). */
+    @track isLive = true;
+    livePoller = null;
+    /** Sessions starting after this time (epoch ms) are listed by the next live poll; null until the list loads. */
+    liveSince = null;
+    /** Messages that arrived in the open session while it was scrolled up, and the first of them. */
+    @track newMessageCount = 0;
+    firstNewMessageTimestamp = null;
+    /** Scroll the messages to the bottom once live messages appended there have rendered. */
+    pendingScrollToBottom = false;
+
+    connectedCallback() {
+        this.isDisconnected = false;
+        if (this.recordId) {
+            this.dateFilter = RECORD_PAGE_LOOKBACK_DAYS;
+        }
+        this.loadSessions(true);
+        this.loadAgentFacets();
+        this.livePoller = createLivePoller(() => this.pollLiveUpdates());
+        if (this.isLive) {
+            this.livePoller.start();
+        }
+    }
+
+    disconnectedCallback() {
+        this.isDisconnected = true;
+        this.livePoller.stop();
+    }
+
+    /**
+     * Open the conversation (and message) named in the URL; also runs on browser back/forward
+     */
+    @wire(CurrentPageReference)
+    wiredPageReference(pageRef) {
+        this.pageRef = pageRef;
+        const state = (pageRef && pageRef.state) || {};
+        const sessionId = state.c__sessionId;
+        if (!sessionId || (this.selectedSession && this.selectedSession.sessionId === sessionId)) {
+            return;
+        }
+        const messageIndex = parseInt(state.c__messageIndex, 10);
+        this.openSession(sessionId, { messageIndex: Number.isNaN(messageIndex) ? null : messageIndex });
+    }
+
+    /**
+     * The open conversation. Setting it keeps c__sessionId in the URL in step, so a refresh reopens it
+     */
+    get selectedSession() {
+        return this._selectedSession;
+    }
+
+    set selectedSession(value) {
+        const previousId = this._selectedSession ? this._selectedSession.sessionId : null;
+        this._selectedSession = value;
+        // The find bar stays open across conversations but starts again from the first match
+        if (!value) {
+            this.isFindOpen = false;
+            this.findTerm = '';
+        }
+        if (!value || value.sessionId !== previousId) {
+            this.findIndex = 0;
+            this.newMessageCount = 0;
+            this.firstNewMessageTimestamp = null;
+        }
+        this.countFindMatches();
+        this.syncUrlState();
+    }
+
+    /**
+     * Replace (not push) the URL state with the selected session ID. Left alone on record pages, and
+     * cleared while reviewing others so their session IDs do not end up in shared links.
+     */
+    syncUrlState() {
+        if (!this.pageRef || this.recordId) return;
+        const state = { ...(this.pageRef.state || {}) };
+        const sessionId = this.selectedSession && !this.isReviewingOthers ? this.selectedSession.sessionId : undefined;
+        if (state.c__sessionId === sessionId) return;
+        delete state.c__sessionId;
+        delete state.c__messageIndex;
+        if (sessionId) {
+            state.c__sessionId = sessionId;
+        }
+        this[NavigationMixin.Navigate]({ ...this.pageRef, state }, true);
+    }
+
+    @wire(getCurrentUserTimeZone)
+    wiredTimeZone({ data }) {
+        if (data) {
+            this.userTimeZone = data;
+            // Re-format session dates and message times when timezone arrives (wire may complete after the first page loads)
+            if (this.sessions && this.sessions.length > 0) {
+                this.sessions = this.sessions.map(s => ({
+                    ...s,
+                    formattedDate: formatDate(s.startTime, this.userTimeZone),
+                    messages: (s.messages || []).map(msg => ({
+                        ...msg,
+                        formattedTime: formatTime(msg.timestamp, this.userTimeZone)
+                    }))
+                }));
+            }
+        }
+    }
+
+    get headerTitle() {
+        return this.recordId ? LABELS.recordConversationsTitle : LABELS.employeeConversationsTitle;
+    }
+
+    get loadingIconSrc() {
+        return loadingIconUrl;
+    }
+
+    get agentAstroSrc() {
+        return agentAstroUrl;
+    }
+
+    /**
+     * Load a page of sessions (newest first). reset=true starts over from the first page
+     * (initial load and date filter changes); otherwise the next page is appended.
+     */
+    async loadSessions(reset) {
+        if (!reset && (this.isLoadingMore || !this.hasMoreSessions)) {
+            return;
+        }
+        const requestId = reset ? ++this.loadRequestId : this.loadRequestId;
+        if (reset) {
+            this.isLoading = true;
+            this.nextCursor = null;
+        } else {
+            this.isLoadingMore = true;
+        }
+        this.liveMessage = reset ? LABELS.loadingConversations : LABELS.loadingMoreConversations;
+
+        try {
+            const page = this.recordId
+                ? await this.fetchRecordSessionsPage(reset)
+                : await getUserSessionsPage({
+                    ...this.rangeParams,
+                    agentNames: this.selectedAgents,
+                    viewAsId: this.viewAsId,
+                    cursor: reset ? null : this.nextCursor,
+                    pageSize: SESSION_PAGE_SIZE
+                });
+            if (requestId !== this.loadRequestId) {
+                return;
+            }
+            if (page.userTimeZone && !this.userTimeZone) {
+                this.userTimeZone = page.userTimeZone;
+            }
+            const pageSessions = (page.sessions || []).map(session => this.processSession(session));
+            this.mergeSessionPage(
+                pageSessions,
+                reset ? (page.pinnedSessions || []).map(session => this.processSession(session)) : null,
+                reset ? (page.sharedSessions || []).map(session => this.processSession(session)) : null
+            );
+            this.nextCursor = page.nextCursor;
+            this.hasMoreSessions = !!page.hasMore;
+            if (reset) {
+                this.liveSince = Date.now() - LIVE_INGESTION_ALLOWANCE_MS;
+            }
+            this.liveMessage = pluralLabel(LABELS.conversationsLoaded, this.sessions.length);
+
+            // Generate titles for sessions that need them
+            this.generateMissingTitles();
+        } catch (error) {
+            if (requestId !== this.loadRequestId) {
+                return;
+            }
+            console.error('Error loading sessions:', error);
+            this.showError(formatLabel(LABELS.errorLoadingConversations, reduceErrors(error)));
+            if (reset) {
+                this.sessions = [];
+            }
+            this.hasMoreSessions = false;
+            this.liveMessage = '';
+        } finally {
+            if (requestId === this.loadRequestId) {
+                this.isLoading = false;
+                this.isLoadingMore = false;
+            }
+        }
+    }
+
+    /**
+     * Add a page to the sidebar. On reset, pinned sessions (of any age) come first; sessions already
+     * listed as pinned are not repeated when their page arrives.
+     */
+    mergeSessionPage(pageSessions, pinnedSessions, sharedSessions) {
+        const pageIds = new Set(pageSessions.map(s => s.sessionId));
+        if (pinnedSessions) {
+            this.pinnedOnlyIds = new Set(pinnedSessions.filter(s => !pageIds.has(s.sessionId)).map(s => s.sessionId));
+            const pinnedIds = new Set(pinnedSessions.map(s => s.sessionId));
+            // Sessions shared by colleagues are listed unless they are also the user's own
+            const shared = (sharedSessions || []).filter(s => !pinnedIds.has(s.sessionId) && !pageIds.has(s.sessionId));
+            this.sessions = [...pinnedSessions, ...shared, ...pageSessions.filter(s => !pinnedIds.has(s.sessionId))];
+            return;
+        }
+        pageIds.forEach(id => this.pinnedOnlyIds.delete(id));
+        const loadedIds = new Set(this.sessions.map(s => s.sessionId));
+        this.sessions = [...this.sessions, ...pageSessions.filter(s => !loadedIds.has(s.sessionId))];
+    }
+
+    /**
+     * Record page mode: fetch the next numbered page of sessions referencing recordId, shaped like a
+     * getUserSessionsPage result so loadSessions can treat both alike
+     */
+    async fetchRecordSessionsPage(reset) {
+        // Every loaded page except the last is full, so the loaded count gives the next page number
+        const pageNumber = reset ? 1 : Math.floor(this.sessions.length / SESSION_PAGE_SIZE) + 1;
+        const result = await getRecordSessions({
+            recordId: this.recordId,
+            ...this.rangeParams,
+            agentNames: this.selectedAgents,
+            pageSize: SESSION_PAGE_SIZE,
+            pageNumber
+        });
+        return {
+            sessions: result.sessions,
+            userTimeZone: result.userTimeZone,
+            hasMore: pageNumber * SESSION_PAGE_SIZE < (result.totalCount || 0),
+            nextCursor: null
+        };
+    }
+
+    /**
+     * Load the agent filter options (agents and session counts) for the current date range
+     */
+    async loadAgentFacets() {
+        const requestId = ++this.facetRequestId;
+        try {
+            const facets = await getAgentFacets({ ...this.rangeParams, viewAsId: this.viewAsId, recordId: this.recordId || null });
+            if (requestId === this.facetRequestId) {
+                this.agentFacets = facets || [];
+            }
+        } catch (error) {
+            console.error('Error loading agents:', error);
+            if (requestId === this.facetRequestId) {
+                this.agentFacets = [];
+            }
+        }
+    }
+
+    /**
+     * Format a session from Apex for the sidebar
+     */
+    processSession(session) {
+        // Use startTime if available, otherwise use first message timestamp
+        const sessionStartTime = session.startTime || 
+            (session.messages && session.messages.length > 0 ? session.messages[0].timestamp : null);
+        
+        return {
+            ...session,
+            startTime: sessionStartTime,
+            formattedDate: formatDate(sessionStartTime, this.userTimeZone),
+            messages: this.processMessages(session.messages),
+            cssClass: 'session-item'
+        };
+    }
+
+    /**
+     * Arrow keys, Home and End move between conversations; Enter or Space opens the focused one
+     */
+    handleListKeyDown(event) {
+        handleListboxKeyDown(event);
+    }
+
+    /**
+     * Infinite scroll: load the next page when the sidebar list nears the bottom
+     */
+    handleSessionListScroll(event) {
+        const list = event.target;
+        if (list.scrollHeight - list.scrollTop - list.clientHeight <= INFINITE_SCROLL_THRESHOLD_PX) {
+            this.loadSessions(false);
+        }
+    }
+
+    /**
+     * "Load more" button at the end of the sidebar list
+     */
+    handleLoadMore() {
+        this.loadSessions(false);
+    }
+
+    /**
+     * Whether to show the "Load more" control (more pages exist and none is loading)
+     */
+    get showLoadMore() {
+        return this.hasMoreSessions && !this.isLoadingMore;
+    }
+
+    /**
+     * Titles are stored server-side; sessions still showing the placeholder are handed to Apex in one
+     * call, which generates them in a background job. Poll until they arrive or give up.
+     */
+    async generateMissingTitles() {
+        const sessionIds = this.sessions
+            .filter(s => s.title === TITLE_PLACEHOLDER && s.messages && s.messages.length > 0 && !this.pendingTitleIds.has(s.sessionId))
+            .map(s => s.sessionId);
+        if (sessionIds.length === 0) {
+            return;
+        }
+        sessionIds.forEach(id => this.pendingTitleIds.add(id));
+
+        try {
+            let titles = await requestSessionTitles({ sessionIds, viewAsId: this.viewAsId });
+            let missing = this.applyTitles(titles, sessionIds);
+            for (let attempt = 0; missing.length > 0 && attempt < TITLE_POLL_ATTEMPTS && !this.isDisconnected; attempt++) {
+                await this.delay(TITLE_POLL_INTERVAL_MS);
+                titles = await getSessionTitles({ sessionIds: missing, viewAsId: this.viewAsId });
+                missing = this.applyTitles(titles, missing);
+            }
+            this.applyFallbackTitles(missing);
+        } catch (error) {
+            console.error('Error loading session titles:', error);
+            this.applyFallbackTitles(sessionIds);
+        } finally {
+            sessionIds.forEach(id => this.pendingTitleIds.delete(id));
+        }
+    }
+
+    /**
+     * Apply titles (sessionId -> title) to loaded sessions; returns the IDs that still have none.
+     */
+    applyTitles(titles, sessionIds) {
+        const found = titles || {};
+        if (Object.keys(found).length > 0) {
+            this.sessions = this.sessions.map(s => (found[s.sessionId] ? { ...s, title: found[s.sessionId] } : s));
+            if (this.selectedSession && found[this.selectedSession.sessionId]) {
+                this.selectedSession = { ...this.selectedSession, title: found[this.selectedSession.sessionId] };
+            }
+        }
+        return sessionIds.filter(id => !found[id]);
+    }
+
+    /**
+     * Replace the placeholder for sessions whose title could not be generated (retried on the next load).
+     */
+    applyFallbackTitles(sessionIds) {
+        const fallback = {};
+        sessionIds.forEach(id => {
+            fallback[id] = LABELS.untitledConversation;
+        });
+        this.applyTitles(fallback, sessionIds);
+    }
+
+    delay(ms) {
+        return new Promise(resolve => {
+            setTimeout(resolve, ms);
+        });
+    }
+
+    get liveToggleLabel() {
+        return this.isLive ? LABELS.pauseLiveUpdates : LABELS.resumeLiveUpdates;
+    }
+
+    handleToggleLive() {
+        this.isLive = !this.isLive;
+        if (this.isLive) {
+            this.livePoller.start();
+        } else {
+            this.livePoller.stop();
+        }
+    }
+
+    /**
+     * New sessions are only listed while the range reaches today, and not on record pages (a new session
+     * is not known to reference the record until its trace is searched)
+     */
+    get isListLive() {
+        if (this.recordId) return false;
+        return !this.customRange || this.customRange.end >= this.todayDateKey;
+    }
+
+    /**
+     * One live poll: sessions that started since the last one go to the top of the sidebar and new
+     * messages are appended to the open session. Resolves to true when anything arrived.
+     */
+    async pollLiveUpdates() {
+        const openSessionId = this.selectedSession ? this.selectedSession.sessionId : null;
+        const since = this.isListLive && !this.isLoading ? this.liveSince : null;
+        if (since === null && !openSessionId) {
+            return false;
+        }
+        const requestId = this.loadRequestId;
+        const updates = await getLiveUpdates({
+            since: since !== null ? new Date(since).toISOString() : null,
+            agentNames: this.selectedAgents,
+            viewAsId: this.viewAsId,
+            openSessionId
+        });
+        if (this.isDisconnected || requestId !== this.loadRequestId) {
+            return false;
+        }
+        if (since !== null) {
+            this.liveSince = new Date(updates.serverTime).getTime() - LIVE_INGESTION_ALLOWANCE_MS;
+        }
+        const hasNewSessions = this.applyLiveSessions(updates.sessions || []);
+        const hasNewMessages = this.applyLiveMessages(updates.openSession);
+        return hasNewSessions || hasNewMessages;
+    }
+
+    /**
+     * Add sessions the sidebar does not list yet and refresh the messages of listed ones that grew
+     */
+    applyLiveSessions(liveSessions) {
+        const liveById = new Map(liveSessions.map(s => [s.sessionId, s]));
+        let hasChanges = false;
+        const sessions = this.sessions.map(s => {
+            const live = liveById.get(s.sessionId);
+            liveById.delete(s.sessionId);
+            if (!live || getNewMessages(s.messages, live.messages).length === 0) return s;
+            hasChanges = true;
+            return { ...s, messages: this.processMessages(live.messages) };
+        });
+        const added = Array.from(liveById.values()).map(s => this.processSession(s));
+        if (added.length === 0 && !hasChanges) {
+            return false;
+        }
+        this.sessions = [...added, ...sessions];
+        if (added.length > 0) {
+            this.liveMessage = pluralLabel(LABELS.newConversationsArrived, added.length);
+            this.generateMissingTitles();
+            this.loadAgentFacets();
+        }
+        return true;
+    }
+
+    /**
+     * Append messages that arrived in the open session. They scroll into view when the reader is at the
+     * bottom; otherwise the "N new messages" button counts them.
+     */
+    applyLiveMessages(openSession) {
+        const current = this.selectedSession;
+        if (!openSession || !current || current.sessionId !== openSession.sessionId) {
+            return false;
+        }
+        const fresh = this.processMessagesWithAgent(getNewMessages(current.messages, openSession.messages), current.agentName);
+        if (fresh.length === 0) {
+            return false;
+        }
+        const container = this.template.querySelector('.messages-container');
+        const atBottom = !container || this.isScrolledToBottom(container);
+        this.selectedSession = { ...current, messages: [...current.messages, ...fresh] };
+        this.sessions = this.sessions.map(s => (s.sessionId === current.sessionId ? { ...s, messages: this.processMessages(openSession.messages) } : s));
+        if (atBottom) {
+            this.pendingScrollToBottom = true;
+        } else {
+            this.firstNewMessageTimestamp = this.firstNewMessageTimestamp || fresh[0].timestamp;
+            this.newMessageCount += fresh.length;
+        }
+        return true;
+    }
+
+    isScrolledToBottom(container) {
+        return container.scrollHeight - container.scrollTop - container.clientHeight <= NEW_MESSAGES_BOTTOM_THRESHOLD_PX;
+    }
+
+    get hasNewMessages() {
+        return this.newMessageCount > 0;
+    }
+
+    get newMessagesLabel() {
+        return pluralLabel(LABELS.newMessages, this.newMessageCount);
+    }
+
+    /**
+     * "N new messages" button: scroll to the first message that arrived while reading further up
+     */
+    handleShowNewMessages() {
+        this.pendingScrollTimestamp = this.firstNewMessageTimestamp;
+        this.newMessageCount = 0;
+        this.firstNewMessageTimestamp = null;
+    }
+
+    /**
+     * Scrolling down to the new messages also dismisses the button
+     */
+    handleMessagesScroll(event) {
+        if (this.newMessageCount > 0 && this.isScrolledToBottom(event.target)) {
+            this.newMessageCount = 0;
+            this.firstNewMessageTimestamp = null;
+        }
+    }
+
+    /**
+     * Handle keyword search input
+     */
+    handleSearchChange(event) {
+        this.searchKeyword = (event.target.value || '').toLowerCase().trim();
+        if (!this.searchKeyword) {
+            this.clearSearchResults();
+            this.liveMessage = '';
+            return;
+        }
+        this.liveMessage = pluralLabel(LABELS.conversationsFound, this.filteredSessions.length);
+    }
+
+    /**
+     * Enter in the search box searches all conversations on the server
+     */
+    handleSearchKeyUp(event) {
+        if (event.key === 'Enter') {
+            this.runServerSearch();
+        }
+    }
+
+    /**
+     * Search message text across all of the user's conversations (any time range)
+     */
+    async runServerSearch() {
+        const term = this.searchKeyword;
+        if (!term || term.length < 2) {
+            return;
+        }
+        this.isSearchingServer = true;
+        this.serverSearchTerm = term;
+        this.liveMessage = LABELS.searchingAllConversations;
+        try {
+            const results = await searchSessions({ searchTerm: term, daysLookback: null, viewAsId: this.viewAsId });
+            if (this.serverSearchTerm !== term) {
+                return;
+            }
+            this.searchResults = (results || []).map(result => this.processSearchResult(result, term));
+            // Roving tabindex: Tab enters the results on the first match
+            const firstMatch = this.searchResults.flatMap(result => result.matches)[0];
+            if (firstMatch) firstMatch.tabIndex = 0;
+            this.liveMessage = this.searchResults.length
+                ? pluralLabel(LABELS.conversationsFound, this.searchResults.length)
+                : LABELS.noMatchingConversations;
+        } catch (error) {
+            console.error('Error searching conversations:', error);
+            this.showError(formatLabel(LABELS.errorSearchingConversations, reduceErrors(error)));
+            this.liveMessage = '';
+        } finally {
+            this.isSearchingServer = false;
+        }
+    }
+
+    /**
+     * Shape a server search result for the sidebar (title from loaded sessions when known)
+     */
+    processSearchResult(result, term) {
+        const loaded = this.sessions.find(s => s.sessionId === result.sessionId);
+        const matches = (result.matches || []).map((match, idx) => ({
+            key: `${result.sessionId}-${idx}`,
+            timestamp: match.timestamp,
+            roleLabel: this.getSenderLabel(match.role || '', result.agentName),
+            formattedTime: formatTime(match.timestamp, this.userTimeZone),
+            snippetParts: this.splitSnippet(match.snippet, term),
+            tabIndex: -1
+        }));
+        return {
+            sessionId: result.sessionId,
+            title: result.title || (loaded ? loaded.title : (result.agentName || LABELS.conversation)),
+            agentName: result.agentName,
+            formattedDate: formatDate(result.startTime, this.userTimeZone),
+            matchCountLabel: pluralLabel(LABELS.matchCount, matches.length),
+            matches
+        };
+    }
+
+    /**
+     * Split a snippet into plain and matched parts so the template can emphasise hits without HTML
+     */
+    splitSnippet(snippet, term) {
+        const text = snippet || '';
+        const parts = [];
+        const lower = text.toLowerCase();
+        let pos = 0;
+        let idx = lower.indexOf(term, pos);
+        while (idx !== -1 && term) {
+            if (idx > pos) parts.push({ key: `p${parts.length}`, text: text.substring(pos, idx), isHit: false });
+            parts.push({ key: `p${parts.length}`, text: text.substring(idx, idx + term.length), isHit: true });
+            pos = idx + term.length;
+            idx = lower.indexOf(term, pos);
+        }
+        if (pos < text.length) parts.push({ key: `p${parts.length}`, text: text.substring(pos), isHit: false });
+        return parts;
+    }
+
+    handleSearchAll() {
+        this.runServerSearch();
+    }
+
+    handleClearSearchResults() {
+        this.clearSearchResults();
+    }
+
+    clearSearchResults() {
+        this.searchResults = null;
+        this.serverSearchTerm = '';
+    }
+
+    /**
+     * Open a search hit: load the session if it is outside the loaded range, then scroll to and highlight the message
+     */
+    handleSearchResultSelect(event) {
+        const { sessionId, timestamp } = event.currentTarget.dataset;
+        this.openSession(sessionId, { timestamp, highlightTerm: this.serverSearchTerm });
+    }
+
+    /**
+     * Open a session by ID (search hit or deep link), loading it when it is outside the loaded range.
+     * The target message (by timestamp, or by position for deep links) is scrolled to and highlighted.
+     */
+    async openSession(sessionId, { timestamp = null, messageIndex = null, highlightTerm = '' } = {}) {
+        let session = this.sessions.find(s => s.sessionId === sessionId);
+        try {
+            if (!session) {
+                const detail = await getSessionDetail({ sessionId, viewAsId: this.viewAsId });
+                if (!detail) {
+                    this.showError(LABELS.conversationUnavailable);
+                    return;
+                }
+                session = this.processSession(detail);
+            }
+            const messages = this.processMessagesWithAgent(session.messages, session.agentName);
+            const linkedMessage = messageIndex !== null ? messages[messageIndex] : null;
+            const targetTimestamp = timestamp || (linkedMessage ? linkedMessage.timestamp : null);
+            this.highlightTerm = highlightTerm;
+            this.pendingScrollTimestamp = targetTimestamp;
+            this.selectedSession = {
+                ...session,
+                messages: messages.map(msg => ({
+                    ...msg,
+                    cssClass: targetTimestamp && msg.timestamp === targetTimestamp ? `${msg.cssClass} search-hit` : msg.cssClass
+                }))
+            };
+            this.isRenaming = false;
+            this.loadFeedback(sessionId);
+            if (!targetTimestamp) {
+                this.scrollToTop();
+            }
+        } catch (error) {
+            console.error('Error opening conversation:', error);
+            this.showError(formatLabel(LABELS.errorOpeningConversation, reduceErrors(error)));
+        }
+    }
+
+    get showShareDialog() {
+        return this.isShareOpen && this.hasSelectedSession;
+    }
+
+    handleOpenShare() {
+        this.isShareOpen = true;
+    }
+
+    handleCloseShare() {
+        this.isShareOpen = false;
+    }
+
+    /**
+     * Show / mask again control for messages PII mask rules changed (View_Unmasked_Conversations only)
+     */
+    getRevealControl(msg) {
+        return {
+            canReveal: !!canViewUnmasked && !!(msg.isMasked || msg.isRevealed),
+            revealLabel: msg.isRevealed ? LABELS.maskAgain : LABELS.showUnmasked,
+            revealIcon: msg.isRevealed ? 'utility:hide' : 'utility:preview'
+        };
+    }
+
+    /**
+     * Reveal one masked message (fetched unmasked from the server), or mask a revealed one again
+     */
+    async handleToggleReveal(event) {
+        const timestamp = event.currentTarget.dataset.timestamp;
+        const session = this.selectedSession;
+        const message = session ? session.messages.find(msg => msg.timestamp === timestamp) : null;
+        if (!message) return;
+        if (message.isRevealed) {
+            this.updateSelectedMessage(timestamp, { text: message.maskedText, maskedText: null, isRevealed: false });
+            return;
+        }
+        try {
+            const text = await revealMessage({ sessionId: session.sessionId, messageTimestamp: timestamp, viewAsId: this.viewAsId });
+            if (typeof text !== 'string' || !this.selectedSession || this.selectedSession.sessionId !== session.sessionId) return;
+            this.updateSelectedMessage(timestamp, { text, maskedText: message.text, isRevealed: true });
+        } catch (error) {
+            console.error('Error revealing message:', error);
+            this.showError(formatLabel(LABELS.errorRevealingMessage, reduceErrors(error)));
+        }
+    }
+
+    updateSelectedMessage(timestamp, changes) {
+        this.selectedSession = {
+            ...this.selectedSession,
+            messages: this.selectedSession.messages.map(msg => (msg.timestamp === timestamp ? { ...msg, ...changes } : msg))
+        };
+    }
+
+    /**
+     * Copy a link that opens the Agent Conversations tab on this message
+     */
+    async handleCopyMessageLink(event) {
+        if (!this.selectedSession) return;
+        try {
+            const url = await this[NavigationMixin.GenerateUrl]({
+                type: 'standard__navItemPage',
+                attributes: { apiName: 'Agent_Conversations' },
+                state: {
+                    c__sessionId: this.selectedSession.sessionId,
+                    c__messageIndex: event.currentTarget.dataset.index
+                }
+            });
+            await navigator.clipboard.writeText(new URL(url, window.location.origin).href);
+            this.dispatchEvent(new ShowToastEvent({ title: LABELS.linkCopied, message: LABELS.linkCopiedMessage, variant: 'success' }));
+        } catch (error) {
+            console.error('Error copying link:', error);
+            this.showError(LABELS.copyLinkFailed);
+        }
+    }
+
+    get hasSearchResults() {
+        return this.searchResults !== null;
+    }
+
+    get hasSearchResultItems() {
+        return this.searchResults && this.searchResults.length > 0;
+    }
+
+    get searchResultsLabel() {
+        const count = this.searchResults ? this.searchResults.length : 0;
+        return pluralLabel(LABELS.conversationCount, count);
+    }
+
+    get showSearchAllButton() {
+        return this.isSearching && this.searchKeyword.length >= 2 && !this.hasSearchResults && !this.isSearchingServer;
+    }
+
+    renderedCallback() {
+        if (this.pendingFindFocus) {
+            const findBar = this.template.querySelector('c-conversation-find-bar');
+            if (findBar) {
+                this.pendingFindFocus = false;
+                findBar.focus();
+            }
+        }
+        if (this.pendingScrollToBottom) {
+            const container = this.template.querySelector('.messages-container');
+            if (container) {
+                this.pendingScrollToBottom = false;
+                container.scrollTop = container.scrollHeight;
+            }
+        }
+        if (!this.pendingScrollTimestamp) return;
+        const target = Array.from(this.template.querySelectorAll('[data-timestamp]'))
+            .find(el => el.dataset.timestamp === this.pendingScrollTimestamp);
+        if (target) {
+            this.pendingScrollTimestamp = null;
+            target.scrollIntoView({ block: 'center' });
+        }
+    }
+
+    /**
+     * Sessions matching the current keyword (title, agent name, or any message text).
+     * Returns all sessions when no keyword is entered.
+     */
+    get filteredSessions() {
+        const keyword = this.searchKeyword;
+        if (!keyword) {
+            return this.sessions;
+        }
+        return this.sessions.filter(session => {
+            const title = (session.title || '').toLowerCase();
+            const agentName = (session.agentName || '').toLowerCase();
+            if (title.includes(keyword) || agentName.includes(keyword)) {
+                return true;
+            }
+            return (session.messages || []).some(msg =>
+                (msg.text || '').toLowerCase().includes(keyword)
+            );
+        });
+    }
+
+    /**
+     * Whether any sessions are visible after applying the keyword filter
+     */
+    get hasVisibleSessions() {
+        return this.filteredSessions && this.filteredSessions.length > 0;
+    }
+
+    /**
+     * Whether the user has entered a search keyword
+     */
+    get isSearching() {
+        return this.searchKeyword.length > 0;
+    }
+
+    /**
+     * Empty-state title: distinguishes "no search matches" from "no conversations loaded"
+     */
+    get emptyStateTitle() {
+        return this.isSearching ? LABELS.noMatchingConversations : LABELS.noConversationsFound;
+    }
+
+    /**
+     * Empty-state subtitle (hidden when searching)
+     */
+    get emptyStateSubtitle() {
+        if (this.isSearching) return '';
+        return this.recordId
+            ? LABELS.noRecordConversationsInRange
+            : LABELS.adjustDateFilter;
+    }
+
+    /**
+     * Group sessions by date for sidebar display. Short ranges use Today / Yesterday / Previous N Days;
+     * longer ranges use Today / Yesterday / This week / Last week and then one group per month.
+     */
+    get groupedSessions() {
+        const pinnedGroup = this.getPinnedGroup();
+        const sharedGroup = this.getSharedGroup();
+        const groups = this.groupBy === 'agent' ? this.groupSessionsByAgent() : this.groupSessionsByDate();
+        const result = [pinnedGroup, sharedGroup, ...groups].filter(group => group);
+        // Roving tabindex: Tab enters the list on the open conversation, or on the first one
+        const items = result.flatMap(group => group.sessions);
+        const tabStop = items.find(item => item.isSelected) || items[0];
+        if (tabStop) tabStop.tabIndex = 0;
+        return result;
+    }
+
+    /**
+     * "Shared with me" group: conversations colleagues shared (null when there are none)
+     */
+    getSharedGroup() {
+        const shared = this.filteredSessions.filter(s => s.isShared && !s.isPinned);
+        if (shared.length === 0) return null;
+        return {
+            label: LABELS.sharedWithMe,
+            icon: 'utility:share',
+            sessions: shared.map(session => this.toSidebarItem(session))
+        };
+    }
+
+    /**
+     * "Pinned" group for the top of the sidebar, in pin order (null when nothing visible is pinned)
+     */
+    getPinnedGroup() {
+        const pinned = this.filteredSessions.filter(s => s.isPinned);
+        if (pinned.length === 0) return null;
+        return {
+            label: LABELS.pinned,
+            icon: 'utility:pinned',
+            sessions: pinned.map(session => this.toSidebarItem(session))
+        };
+    }
+
+    /**
+     * Sidebar copy of a session with its selection state
+     */
+    toSidebarItem(session) {
+        const isSelected = !!this.selectedSession && this.selectedSession.sessionId === session.sessionId;
+        return {
+            ...session,
+            formattedDate: session.formattedDate || formatDate(session.startTime, this.userTimeZone),
+            cssClass: isSelected ? 'session-item selected' : 'session-item',
+            isSelected,
+            ariaSelected: isSelected ? 'true' : 'false',
+            tabIndex: -1
+        };
+    }
+
+    groupSessionsByDate() {
+        const todayMs = getCalendarDayMs(new Date(), this.userTimeZone);
+        const useCalendarGroups = this.rangeDays >= CALENDAR_GROUPING_MIN_DAYS;
+        const groups = new Map();
+
+        // Newest first, so groups come out in chronological order (most recent first); pinned sessions are listed above
+        const sessions = this.filteredSessions.filter(s => !s.isPinned && !s.isShared).sort((a, b) =>
+            (Date.parse(b.startTime) || 0) - (Date.parse(a.startTime) || 0)
+        );
+
+        sessions.forEach(session => {
+            const sessionCopy = this.toSidebarItem(session);
+
+            const sessionMs = getCalendarDayMs(new Date(session.startTime), this.userTimeZone);
+            const group = useCalendarGroups
+                ? this.getCalendarGroup(sessionMs, todayMs)
+                : this.getRecentGroup(sessionMs, todayMs);
+            if (!groups.has(group.label)) {
+                groups.set(group.label, { ...group, sessions: [] });
+            }
+            groups.get(group.label).sessions.push(sessionCopy);
+        });
+
+        return Array.from(groups.values());
+    }
+
+    /**
+     * One sidebar group per agent (alphabetical), sessions newest first within each
+     */
+    groupSessionsByAgent() {
+        const groups = new Map();
+        const sessions = this.filteredSessions.filter(s => !s.isPinned && !s.isShared).sort((a, b) =>
+            (Date.parse(b.startTime) || 0) - (Date.parse(a.startTime) || 0)
+        );
+        sessions.forEach(session => {
+            const label = session.agentName || LABELS.unknownAgent;
+            if (!groups.has(label)) {
+                groups.set(label, { label, icon: 'utility:bot', sessions: [] });
+            }
+            groups.get(label).sessions.push(this.toSidebarItem(session));
+        });
+        return Array.from(groups.values()).sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Today / Yesterday / Previous N Days bucket for a session day (see getCalendarDayMs).
+     */
+    getRecentGroup(sessionMs, todayMs) {
+        const daysAgo = sessionMs === null ? null : Math.round((todayMs - sessionMs) / DAY_MS);
+        if (daysAgo === 0) {
+            return { label: LABELS.today, icon: 'utility:clock' };
+        }
+        if (daysAgo === 1) {
+            return { label: LABELS.yesterday, icon: 'utility:history' };
+        }
+        const label = this.customRange ? LABELS.earlier : pluralLabel(LABELS.previousDays, this.dateFilter);
+        return { label, icon: 'utility:date_input' };
+    }
+
+    /**
+     * Today / Yesterday / This week / Last week / month bucket for a session day.
+     * Weeks start on the first day of the week for the user's locale.
+     */
+    getCalendarGroup(sessionMs, todayMs) {
+        if (sessionMs === null) {
+            return { label: LABELS.earlier, icon: 'utility:date_input' };
+        }
+        const daysAgo = Math.round((todayMs - sessionMs) / DAY_MS);
+        if (daysAgo === 0 || daysAgo === 1) {
+            return this.getRecentGroup(sessionMs, todayMs);
+        }
+        const firstDay = (FIRST_DAY_OF_WEEK || 1) - 1;
+        const weekStartMs = todayMs - ((new Date(todayMs).getUTCDay() - firstDay + 7) % 7) * DAY_MS;
+        if (daysAgo >= 0 && sessionMs >= weekStartMs) {
+            return { label: LABELS.thisWeek, icon: 'utility:date_input' };
+        }
+        if (daysAgo >= 0 && sessionMs >= weekStartMs - 7 * DAY_MS) {
+            return { label: LABELS.lastWeek, icon: 'utility:date_input' };
+        }
+        const label = formatCalendarDay(sessionMs, { month: 'long', year: 'numeric' });
+        return { label, icon: 'utility:event' };
+    }
+
+    /**
+     * Computed property: Check if sessions exist
+     */
+    get hasSessions() {
+        return this.sessions && this.sessions.length > 0;
+    }
+
+    /**
+     * Computed property: Check if a session is selected
+     */
+    get hasSelectedSession() {
+        return this.selectedSession !== null;
+    }
+
+    /**
+     * Computed property: Check if selected session has messages
+     */
+    get hasMessages() {
+        return this.selectedSession && 
+               this.selectedSession.messages && 
+               this.selectedSession.messages.length > 0;
+    }
+
+    /**
+     * Lookback choices for the filter menu
+     */
+    get lookbackOptions() {
+        return LOOKBACK_OPTIONS.map(days => ({
+            value: String(days),
+            label: pluralLabel(LABELS.lastDays, days),
+            checked: !this.customRange && this.dateFilter === days
+        }));
+    }
+
+    get isCustomRange() {
+        return !!this.customRange;
+    }
+
+    get isGroupedByDate() {
+        return this.groupBy === 'date';
+    }
+
+    get isGroupedByAgent() {
+        return this.groupBy === 'agent';
+    }
+
+    /**
+     * Agent filter checkboxes; selected agents missing from the current range stay listed so they can be cleared
+     */
+    get agentOptions() {
+        const options = this.agentFacets.map(facet => ({
+            label: formatLabel(LABELS.agentOption, facet.agentName, facet.sessionCount),
+            value: facet.agentName
+        }));
+        this.selectedAgents
+            .filter(name => !this.agentFacets.some(facet => facet.agentName === name))
+            .forEach(name => options.push({ label: formatLabel(LABELS.agentOption, name, 0), value: name }));
+        return options;
+    }
+
+    get hasAgentOptions() {
+        return this.agentOptions.length > 0;
+    }
+
+    get hasSelectedAgents() {
+        return this.selectedAgents.length > 0;
+    }
+
+    get agentFilterLabel() {
+        if (this.selectedAgents.length === 0) return LABELS.allAgents;
+        if (this.selectedAgents.length === 1) return this.selectedAgents[0];
+        return pluralLabel(LABELS.agentCount, this.selectedAgents.length);
+    }
+
+    get agentFilterToggleIcon() {
+        return this.isAgentFilterOpen ? 'utility:chevronup' : 'utility:chevrondown';
+    }
+
+    get agentFilterExpandedState() {
+        return String(this.isAgentFilterOpen);
+    }
+
+    handleToggleAgentFilter() {
+        this.isAgentFilterOpen = !this.isAgentFilterOpen;
+    }
+
+    handleAgentFilterChange(event) {
+        this.applyAgentFilter(event.detail.value);
+    }
+
+    handleClearAgentFilter() {
+        this.applyAgentFilter([]);
+    }
+
+    /**
+     * Narrow the sidebar to the given agents and reload from the first page
+     */
+    applyAgentFilter(agentNames) {
+        this.selectedAgents = [...agentNames];
+        this.selectedSession = null;
+        this.loadSessions(true);
+    }
+
+    /**
+     * Whether the user has the View_Others_Agent_Conversations custom permission (supervisor mode)
+     */
+    get canReviewOthers() {
+        // Record pages show the user's own conversations about the record
+        return !!canReviewOthers && !this.recordId;
+    }
+
+    /**
+     * User or public group ID sent to Apex (null = the current user's own conversations)
+     */
+    get viewAsId() {
+        return this.reviewTarget ? this.reviewTarget.id : null;
+    }
+
+    get isReviewingOthers() {
+        return this.reviewTarget !== null;
+    }
+
+    get reviewBannerLabel() {
+        if (!this.reviewTarget) return '';
+        return this.reviewTarget.type === 'Group'
+            ? formatLabel(LABELS.viewingGroup, this.reviewTarget.name)
+            : formatLabel(LABELS.viewingUser, this.reviewTarget.name);
+    }
+
+    get hasReviewTargetResults() {
+        return this.reviewTargetResults.length > 0;
+    }
+
+    handleToggleReviewPicker() {
+        this.isReviewPickerOpen = !this.isReviewPickerOpen;
+        if (!this.isReviewPickerOpen) {
+            this.reviewSearchTerm = '';
+            this.reviewTargetResults = [];
+        }
+    }
+
+    /**
+     * Search users and public groups to review as the supervisor types
+     */
+    async handleReviewSearchChange(event) {
+        const term = (event.target.value || '').trim();
+        this.reviewSearchTerm = term;
+        if (term.length < 2) {
+            this.reviewTargetResults = [];
+            return;
+        }
+        this.isSearchingReviewTargets = true;
+        try {
+            const targets = await searchReviewTargets({ searchTerm: term });
+            if (this.reviewSearchTerm !== term) {
+                return;
+            }
+            this.reviewTargetResults = (targets || []).map(target => ({
+                ...target,
+                icon: target.type === 'Group' ? 'utility:groups' : 'utility:user'
+            }));
+        } catch (error) {
+            console.error('Error searching users:', error);
+            this.showError(formatLabel(LABELS.errorSearchingUsers, reduceErrors(error)));
+        } finally {
+            if (this.reviewSearchTerm === term) {
+                this.isSearchingReviewTargets = false;
+            }
+        }
+    }
+
+    handleReviewTargetSelect(event) {
+        const { id } = event.currentTarget.dataset;
+        const target = this.reviewTargetResults.find(t => t.id === id);
+        if (target) {
+            this.setReviewTarget({ id: target.id, name: target.name, type: target.type });
+        }
+    }
+
+    handleStopReviewing() {
+        this.setReviewTarget(null);
+    }
+
+    /**
+     * Switch whose conversations are shown and reload the sidebar (agent filter and search start over,
+     * since agents and matches differ per person)
+     */
+    setReviewTarget(target) {
+        this.reviewTarget = target;
+        this.isReviewPickerOpen = false;
+        this.reviewSearchTerm = '';
+        this.reviewTargetResults = [];
+        this.selectedAgents = [];
+        this.selectedSession = null;
+        this.searchKeyword = '';
+        this.clearSearchResults();
+        this.summaryState = {};
+        this.traceState = {};
+        this.openTraces = {};
+        this.loadSessions(true);
+        this.loadAgentFacets();
+    }
+
+    /**
+     * Number of calendar days covered by the active filter
+     */
+    get rangeDays() {
+        if (this.customRange) {
+            return Math.round((dateKeyToMs(this.customRange.end) - dateKeyToMs(this.customRange.start)) / DAY_MS) + 1;
+        }
+        return this.dateFilter;
+    }
+
+    /**
+     * Apex range parameters: a custom range is sent as explicit timestamps (end exclusive)
+     */
+    get rangeParams() {
+        if (this.customRange) {
+            return {
+                daysLookback: null,
+                startTime: getZonedDayStart(this.customRange.start, this.userTimeZone),
+                endTime: getZonedDayStart(shiftDateKey(this.customRange.end, 1), this.userTimeZone)
+            };
+        }
+        return { daysLookback: this.dateFilter, startTime: null, endTime: null };
+    }
+
+    /**
+     * Summary of the active custom range, e.g. "Sep 1, 2026 – Oct 18, 2026"
+     */
+    get customRangeLabel() {
+        if (!this.customRange) return '';
+        const opts = { month: 'short', day: 'numeric', year: 'numeric' };
+        const start = formatCalendarDay(dateKeyToMs(this.customRange.start), opts);
+        const end = formatCalendarDay(dateKeyToMs(this.customRange.end), opts);
+        return formatLabel(LABELS.dateRangeFormat, start, end);
+    }
+
+    get showCustomRangeSummary() {
+        return this.isCustomRange && !this.isDateRangeOpen;
+    }
+
+    /**
+     * Latest selectable date (today in the user's timezone)
+     */
+    get todayDateKey() {
+        return getDateKey(new Date(), this.userTimeZone);
+    }
+
+    /**
+     * Handle filter change event
+     */
+    handleFilterChange(event) {
+        const value = event.detail.value;
+        if (value === 'group:date' || value === 'group:agent') {
+            this.groupBy = value.substring('group:'.length);
+            return;
+        }
+        if (value === 'custom') {
+            this.openDateRange();
+            return;
+        }
+        this.dateFilter = parseInt(value, 10);
+        this.customRange = null;
+        this.isDateRangeOpen = false;
+        this.selectedSession = null;
+        
+        // Reload from the first page for the new range
+        this.loadAgentFacets();
+        this.loadSessions(true);
+    }
+
+    /**
+     * Open the custom range picker, prefilled with the active range
+     */
+    openDateRange() {
+        const today = this.todayDateKey;
+        this.draftStartDate = this.customRange ? this.customRange.start : shiftDateKey(today, -(this.dateFilter - 1));
+        this.draftEndDate = this.customRange ? this.customRange.end : today;
+        this.dateRangeError = '';
+        this.isDateRangeOpen = true;
+    }
 
-    wiredSessionsResult;
+    handleEditDateRange() {
+        this.openDateRange();
+    }
 
-    @wire(getCurrentUserTimeZone)
-    wiredTimeZone({ data }) {
-        if (data) {
-            this.userTimeZone = data;
-            // Re-format session dates and message times when timezone arrives (wire may complete after getUserSessions)
-            if (this.sessions && this.sessions.length > 0) {
-                this.sessions = this.sessions.map(s => ({
-                    ...s,
-                    formattedDate: this.formatDate(s.startTime),
-                    messages: (s.messages || []).map(msg => ({
-                        ...msg,
-                        formattedTime: this.formatTime(msg.timestamp)
-                    }))
-                }));
-            }
-        }
+    handleDraftStartChange(event) {
+        this.draftStartDate = event.detail.value;
+        this.dateRangeError = '';
     }
 
-    get loadingIconSrc() {
-        return loadingIconUrl;
+    handleDraftEndChange(event) {
+        this.draftEndDate = event.detail.value;
+        this.dateRangeError = '';
     }
 
-    get agentAstroSrc() {
-        return agentAstroUrl;
+    handleCancelDateRange() {
+        this.isDateRangeOpen = false;
+        this.dateRangeError = '';
     }
 
     /**
-     * Wire service to fetch user sessions
+     * Apply the custom range and reload from the first page
      */
-    @wire(getUserSessions, { daysLookback: '$dateFilter' })
-    wiredSessions(result) {
-        this.wiredSessionsResult = result;
-        const { data, error } = result;
-        
-        if (data) {
-            console.log('Raw session data:', JSON.stringify(data));
-            // Process sessions and format dates
-            this.sessions = data.map(session => {
-                // Use startTime if available, otherwise use first message timestamp
-                const sessionStartTime = session.startTime || 
-                    (session.messages && session.messages.length > 0 ? session.messages[0].timestamp : null);
-                
-                return {
-                    ...session,
-                    startTime: sessionStartTime,
-                    formattedDate: this.formatDate(sessionStartTime),
-                    messages: this.processMessages(session.messages),
-                    cssClass: 'session-item'
-                };
-            });
-            
-            this.isLoading = false;
-            
-            // Generate titles for sessions that need them
-            this.generateMissingTitles();
-        } else if (error) {
-            console.error('Error loading sessions:', error);
-            this.showError('Error loading conversations: ' + this.reduceErrors(error));
-            this.sessions = [];
-            this.isLoading = false;
+    handleApplyDateRange() {
+        if (!this.draftStartDate || !this.draftEndDate) {
+            this.dateRangeError = LABELS.dateRangeRequired;
+            return;
         }
+        if (this.draftStartDate > this.draftEndDate) {
+            this.dateRangeError = LABELS.dateRangeOrder;
+            return;
+        }
+        this.customRange = { start: this.draftStartDate, end: this.draftEndDate };
+        this.isDateRangeOpen = false;
+        this.selectedSession = null;
+        this.loadAgentFacets();
+        this.loadSessions(true);
     }
 
     /**
-     * Generate titles for sessions that don't have them
+     * Summary panel state for the selected session (null when not summarized yet)
      */
-    async generateMissingTitles() {
-        const sessionsNeedingTitles = this.sessions.filter(s => 
-            s.title === 'Loading...' && s.messages && s.messages.length > 0
-        );
+    get currentSummaryState() {
+        return this.selectedSession ? this.summaryState[this.selectedSession.sessionId] || null : null;
+    }
 
-        // Sort by startTime descending (newest first)
-        sessionsNeedingTitles.sort((a, b) => {
-            const dateA = new Date(a.startTime);
-            const dateB = new Date(b.startTime);
-            return dateB - dateA;
-        });
+    get showSummaryPanel() {
+        return !!this.currentSummaryState;
+    }
 
-        for (const session of sessionsNeedingTitles) {
-            try {
-                await this.generateTitleForSession(session);
-            } catch (error) {
-                console.error(`Failed to generate title for session ${session.sessionId}:`, error);
-                session.title = 'Untitled Conversation';
-            }
-        }
+    get isSummaryExpanded() {
+        return !!(this.currentSummaryState && this.currentSummaryState.isExpanded);
     }
 
-    /**
-     * Generate title for a specific session
-     */
-    async generateTitleForSession(session) {
-        try {
-            // Get first 3 messages for context
-            const contextMessages = session.messages.slice(0, 3);
-            const conversationContext = contextMessages
-                .map(msg => `${msg.roleLabel}: ${msg.text}`)
-                .join('\n');
+    get isSummaryLoading() {
+        return !!(this.currentSummaryState && this.currentSummaryState.isLoading);
+    }
 
-            console.log('Generating title with context:', conversationContext);
+    get summary() {
+        return this.currentSummaryState ? this.currentSummaryState.summary : null;
+    }
 
-            // Call Apex to generate title
-            const generatedTitle = await generateSessionTitle({ 
-                conversationContext 
-            });
+    get summaryError() {
+        return this.currentSummaryState ? this.currentSummaryState.error : '';
+    }
 
-            console.log('Generated title:', generatedTitle);
-
-            if (generatedTitle && generatedTitle !== 'Loading...') {
-                // Update session title
-                const sessionIndex = this.sessions.findIndex(s => s.sessionId === session.sessionId);
-                if (sessionIndex !== -1) {
-                    this.sessions[sessionIndex].title = generatedTitle;
-                    
-                    // Force UI refresh
-                    this.sessions = [...this.sessions];
-                    
-                    // Update selected session if it's the current one
-                    if (this.selectedSession && this.selectedSession.sessionId === session.sessionId) {
-                        this.selectedSession = { ...this.sessions[sessionIndex] };
-                    }
-                }
-            }
-        } catch (error) {
-            console.error('Error in generateTitleForSession:', error);
-            throw error;
-        }
+    get summaryToggleIcon() {
+        return this.isSummaryExpanded ? 'utility:chevrondown' : (IS_RTL ? 'utility:chevronleft' : 'utility:chevronright');
     }
 
-    /**
-     * Handle keyword search input
-     */
-    handleSearchChange(event) {
-        this.searchKeyword = (event.target.value || '').toLowerCase().trim();
+    get summaryExpandedState() {
+        return String(this.isSummaryExpanded);
     }
 
     /**
-     * Sessions matching the current keyword (title, agent name, or any message text).
-     * Returns all sessions when no keyword is entered.
+     * Show the summary panel, generating the summary the first time (the server returns its stored copy if any)
      */
-    get filteredSessions() {
-        const keyword = this.searchKeyword;
-        if (!keyword) {
-            return this.sessions;
+    handleSummarize() {
+        const state = this.currentSummaryState;
+        if (state && (state.summary || state.isLoading)) {
+            this.updateSummaryState(this.selectedSession.sessionId, { isExpanded: true });
+            return;
+        }
+        this.loadSummary(this.selectedSession.sessionId, false);
+    }
+
+    handleRegenerateSummary() {
+        this.loadSummary(this.selectedSession.sessionId, true);
+    }
+
+    handleToggleSummary() {
+        this.updateSummaryState(this.selectedSession.sessionId, { isExpanded: !this.isSummaryExpanded });
+    }
+
+    async loadSummary(sessionId, regenerate) {
+        this.updateSummaryState(sessionId, { isLoading: true, isExpanded: true, error: '' });
+        try {
+            const result = await getSessionSummary({ sessionId, regenerate, viewAsId: this.viewAsId });
+            this.updateSummaryState(sessionId, { summary: this.processSummary(result), isLoading: false });
+        } catch (error) {
+            console.error('Error summarizing session:', error);
+            this.updateSummaryState(sessionId, { error: reduceErrors(error), isLoading: false });
         }
-        return this.sessions.filter(session => {
-            const title = (session.title || '').toLowerCase();
-            const agentName = (session.agentName || '').toLowerCase();
-            if (title.includes(keyword) || agentName.includes(keyword)) {
-                return true;
-            }
-            return (session.messages || []).some(msg =>
-                (msg.text || '').toLowerCase().includes(keyword)
-            );
-        });
     }
 
     /**
-     * Whether any sessions are visible after applying the keyword filter
+     * Selected session's messages with trace drawer state for agent replies that have an interaction ID
      */
-    get hasVisibleSessions() {
-        return this.filteredSessions && this.filteredSessions.length > 0;
+    get displayMessages() {
+        if (!this.selectedSession || !this.selectedSession.messages) return [];
+        const sessionId = this.selectedSession.sessionId;
+        const state = this.traceState[sessionId] || {};
+        const feedback = this.feedbackState[sessionId] || {};
+        // Ratings are the user's own, so they are not offered on someone else's conversations (reviewed or shared)
+        const showFeedback = !this.isReviewingOthers && !this.selectedSession.isShared;
+        // Links open the tab as the recipient, so they are only offered for the user's own conversations
+        const canCopyLink = !this.isReviewingOthers;
+        return this.withFindMarks(this.selectedSession.messages).map((msg, index) => {
+            const base = { ...msg, messageIndex: index, canCopyLink, ...this.getRevealControl(msg) };
+            if (msg.isUser) return base;
+            const messageFeedback = feedback[msg.timestamp] || {};
+            const withFeedback = {
+                ...base,
+                showFeedback,
+                feedbackRating: messageFeedback.rating || '',
+                feedbackComment: messageFeedback.comment || ''
+            };
+            if (!msg.interactionId) return withFeedback;
+            const isTraceOpen = !!this.openTraces[`${sessionId}|${msg.timestamp}`];
+            const trace = isTraceOpen && state.interactions ? state.interactions[msg.interactionId] || null : null;
+            return {
+                ...withFeedback,
+                hasTrace: true,
+                isTraceOpen,
+                traceExpandedState: String(isTraceOpen),
+                traceToggleIcon: isTraceOpen ? 'utility:chevronup' : 'utility:chevrondown',
+                trace,
+                isTraceLoading: isTraceOpen && !!state.isLoading,
+                traceError: isTraceOpen ? state.error || '' : '',
+                showTraceEmpty: isTraceOpen && !state.isLoading && !state.error && !trace
+            };
+        });
     }
 
     /**
-     * Whether the user has entered a search keyword
+     * Term marked in the message bubbles: the find bar's while it is open, otherwise the search hit's
      */
-    get isSearching() {
-        return this.searchKeyword.length > 0;
+    get activeFindTerm() {
+        return this.isFindOpen ? this.findTerm : '';
     }
 
     /**
-     * Empty-state title: distinguishes "no search matches" from "no conversations loaded"
+     * Count find-bar matches per message of the open conversation
      */
-    get emptyStateTitle() {
-        return this.isSearching ? 'No matching conversations found.' : 'No conversations found';
+    countFindMatches() {
+        const term = this.activeFindTerm;
+        const messages = this.selectedSession ? this.selectedSession.messages || [] : [];
+        this.findCounts = term ? messages.map(msg => countMessageMatches(msg.text, term)) : [];
+    }
+
+    get findMatchCount() {
+        return this.findCounts.reduce((total, count) => total + count, 0);
     }
 
     /**
-     * Empty-state subtitle (hidden when searching)
+     * Add the highlight term and, for the message holding the current find match, its index within the message
      */
-    get emptyStateSubtitle() {
-        return this.isSearching ? '' : 'Try adjusting your date filter';
+    withFindMarks(messages) {
+        const term = this.activeFindTerm;
+        const counts = this.findCounts;
+        let offset = 0;
+        return messages.map((msg, index) => {
+            const activeMatch = term ? this.findIndex - offset : -1;
+            offset += counts[index] || 0;
+            return { ...msg, highlight: term || this.highlightTerm, activeMatch };
+        });
     }
 
     /**
-     * Group sessions by date for sidebar display
+     * Ctrl+F (Cmd+F on Mac) inside the conversation opens the find bar instead of the browser's
      */
-    get groupedSessions() {
-        const today = new Date();
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
-
-        // Dynamic label based on date filter
-        const previousLabel = this.dateFilter === 90 ? 'Previous 90 Days' : 
-                             this.dateFilter === 30 ? 'Previous 30 Days' : 
-                             'Previous 7 Days';
-
-        const groups = {
-            today: { label: 'Today', icon: 'utility:clock', sessions: [] },
-            yesterday: { label: 'Yesterday', icon: 'utility:history', sessions: [] },
-            previous: { label: previousLabel, icon: 'utility:date_input', sessions: [] }
-        };
+    handleChatKeyDown(event) {
+        if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'f' && this.hasSelectedSession) {
+            event.preventDefault();
+            this.handleOpenFind();
+        }
+    }
 
-        this.filteredSessions.forEach(session => {
-            // Ensure formattedDate is set
-            const formattedDate = session.formattedDate || this.formatDate(session.startTime);
-            
-            const sessionDate = new Date(session.startTime);
-            const sessionCopy = {
-                ...session,
-                formattedDate: formattedDate,
-                cssClass: this.selectedSession && this.selectedSession.sessionId === session.sessionId 
-                    ? 'session-item selected' 
-                    : 'session-item'
-            };
+    handleOpenFind() {
+        const findBar = this.template.querySelector('c-conversation-find-bar');
+        if (findBar) {
+            findBar.focus();
+            return;
+        }
+        this.isFindOpen = true;
+        this.pendingFindFocus = true;
+    }
 
-            if (this.isSameDay(sessionDate, today)) {
-                groups.today.sessions.push(sessionCopy);
-            } else if (this.isSameDay(sessionDate, yesterday)) {
-                groups.yesterday.sessions.push(sessionCopy);
-            } else {
-                groups.previous.sessions.push(sessionCopy);
-            }
-        });
+    handleFindChange(event) {
+        this.findTerm = (event.detail.term || '').trim();
+        this.findIndex = 0;
+        this.countFindMatches();
+        this.scrollToFindMatch();
+    }
 
-        // Sort sessions within each group (most recent first)
-        Object.values(groups).forEach(group => {
-            group.sessions.sort((a, b) => {
-                const dateA = new Date(a.startTime);
-                const dateB = new Date(b.startTime);
-                return dateB - dateA; // Descending order (newest first)
-            });
-        });
+    /**
+     * Next / previous match, wrapping around at either end
+     */
+    handleFindNavigate(event) {
+        const total = this.findMatchCount;
+        if (!total) return;
+        this.findIndex = (this.findIndex + event.detail.direction + total) % total;
+        this.scrollToFindMatch();
+    }
 
-        // Return only groups that have sessions
-        return Object.values(groups).filter(group => group.sessions.length > 0);
+    handleFindClose() {
+        this.isFindOpen = false;
+        this.findTerm = '';
+        this.findIndex = 0;
+        this.countFindMatches();
     }
 
     /**
-     * Computed property: Check if sessions exist
+     * Scroll the message holding the current match into view (see renderedCallback)
      */
-    get hasSessions() {
-        return this.sessions && this.sessions.length > 0;
+    scrollToFindMatch() {
+        let offset = 0;
+        const index = this.findCounts.findIndex(count => {
+            offset += count;
+            return this.findIndex < offset;
+        });
+        if (index !== -1) {
+            this.pendingScrollTimestamp = this.selectedSession.messages[index].timestamp;
+        }
     }
 
     /**
-     * Computed property: Check if a session is selected
+     * Trace drawer under an agent reply; the session's trace is loaded the first time any drawer opens
      */
-    get hasSelectedSession() {
-        return this.selectedSession !== null;
+    handleToggleTrace(event) {
+        const sessionId = this.selectedSession.sessionId;
+        const key = `${sessionId}|${event.currentTarget.dataset.timestamp}`;
+        this.openTraces = { ...this.openTraces, [key]: !this.openTraces[key] };
+        const state = this.traceState[sessionId];
+        if (this.openTraces[key] && (!state || state.error)) {
+            this.loadTrace(sessionId);
+        }
+    }
+
+    async loadTrace(sessionId) {
+        this.updateTraceState(sessionId, { isLoading: true, error: '' });
+        try {
+            const interactions = await getSessionTrace({ sessionId, viewAsId: this.viewAsId });
+            const byId = {};
+            (interactions || []).forEach(interaction => {
+                byId[interaction.interactionId] = this.processTrace(interaction);
+            });
+            this.updateTraceState(sessionId, { interactions: byId, isLoading: false });
+        } catch (error) {
+            console.error('Error loading trace:', error);
+            this.updateTraceState(sessionId, { error: reduceErrors(error), isLoading: false });
+        }
     }
 
     /**
-     * Computed property: Check if selected session has messages
+     * Load the user's ratings for a session once, so thumbs show their saved state on reopen
      */
-    get hasMessages() {
-        return this.selectedSession && 
-               this.selectedSession.messages && 
-               this.selectedSession.messages.length > 0;
+    async loadFeedback(sessionId) {
+        if (this.isReviewingOthers || this.feedbackState[sessionId]) return;
+        try {
+            const records = await getMessageFeedback({ sessionId });
+            const byTimestamp = {};
+            (records || []).forEach(record => {
+                byTimestamp[record.messageTimestamp] = { rating: record.rating, comment: record.comment };
+            });
+            this.feedbackState = { ...this.feedbackState, [sessionId]: byTimestamp };
+        } catch (error) {
+            console.error('Error loading feedback:', error);
+        }
+    }
+
+    handleFeedbackChange(event) {
+        const sessionId = this.selectedSession.sessionId;
+        const { messageTimestamp, rating, comment } = event.detail;
+        this.feedbackState = {
+            ...this.feedbackState,
+            [sessionId]: { ...(this.feedbackState[sessionId] || {}), [messageTimestamp]: { rating, comment } }
+        };
+    }
+
+    updateTraceState(sessionId, changes) {
+        this.traceState = {
+            ...this.traceState,
+            [sessionId]: { ...(this.traceState[sessionId] || {}), ...changes }
+        };
     }
 
     /**
-     * Date filter checks
+     * Format an InteractionTraceWrapper from Apex for the drawer
      */
-    get isSevenDays() {
-        return this.dateFilter === 7;
+    processTrace(interaction) {
+        const steps = (interaction.steps || []).map(step => ({
+            key: step.stepId,
+            name: step.name || LABELS.step,
+            typeLabel: this.getStepTypeLabel(step.stepType),
+            durationLabel: this.formatDuration(step.durationMs),
+            input: step.input,
+            output: step.output,
+            error: step.error,
+            hasInput: !!step.input,
+            hasOutput: !!step.output,
+            cssClass: step.error ? 'trace-step trace-step-error' : 'trace-step'
+        }));
+        const errorCount = interaction.errorCount || 0;
+        return {
+            topicLabel: formatLabel(LABELS.traceTopic, interaction.topicName || LABELS.noTopicSelected),
+            durationLabel: this.formatDuration(interaction.durationMs),
+            errorLabel: pluralLabel(LABELS.errorCount, errorCount),
+            hasErrors: errorCount > 0,
+            steps,
+            hasSteps: steps.length > 0
+        };
+    }
+
+    getStepTypeLabel(stepType) {
+        if (stepType === 'LLMExecutionStep') return LABELS.stepTypeLlm;
+        if (stepType === 'ActionInvocationStep') return LABELS.stepTypeAction;
+        return stepType || LABELS.step;
     }
 
-    get isThirtyDays() {
-        return this.dateFilter === 30;
+    /**
+     * Latency for display in the user's locale: "850 ms" below a second, otherwise "2.5 sec"
+     */
+    formatDuration(ms) {
+        if (ms === null || ms === undefined) return '';
+        return ms < 1000
+            ? formatNumber(ms, { style: 'unit', unit: 'millisecond', unitDisplay: 'short' })
+            : formatNumber(ms / 1000, { style: 'unit', unit: 'second', unitDisplay: 'short', minimumFractionDigits: 1, maximumFractionDigits: 1 });
     }
 
-    get isNinetyDays() {
-        return this.dateFilter === 90;
+    updateSummaryState(sessionId, changes) {
+        this.summaryState = {
+            ...this.summaryState,
+            [sessionId]: { ...(this.summaryState[sessionId] || {}), ...changes }
+        };
     }
 
     /**
-     * Handle filter change event
+     * Format a SummaryWrapper from Apex for the panel
      */
-    handleFilterChange(event) {
-        this.dateFilter = parseInt(event.detail.value, 10);
-        this.isLoading = true;
-        this.selectedSession = null;
-        
-        // Refresh the wire service
-        return refreshApex(this.wiredSessionsResult);
+    processSummary(result) {
+        const toItems = (items, prefix) => (items || []).map((text, idx) => ({ key: `${prefix}-${idx}`, text }));
+        const agentActions = toItems(result.agentActions, 'action');
+        const actionItems = toItems(result.actionItems, 'todo');
+        return {
+            goal: result.goal,
+            outcome: result.outcome,
+            agentActions,
+            actionItems,
+            hasAgentActions: agentActions.length > 0,
+            hasActionItems: actionItems.length > 0,
+            generatedLabel: result.generatedAt ? formatLabel(LABELS.summaryGenerated, formatTime(result.generatedAt, this.userTimeZone)) : ''
+        };
     }
 
     /**
@@ -323,12 +1750,188 @@ export default class AgentGPT extends LightningElement {
                 messages: this.processMessagesWithAgent(session.messages, session.agentName)
             };
             this.selectedSession = sessionWithProcessedMessages;
+            this.highlightTerm = '';
+            this.isRenaming = false;
+            this.loadFeedback(sessionId);
             
             // Scroll to top of messages
             this.scrollToTop();
         }
     }
 
+    /**
+     * Export menu options (Markdown, JSON, CSV, printable HTML)
+     */
+    get exportOptions() {
+        return Object.keys(EXPORT_FORMATS).map(value => ({ value, label: EXPORT_FORMATS[value].label }));
+    }
+
+    /**
+     * Download the selected session in the chosen format. Uses the same role labels and
+     * user-timezone times as the message list so the file matches the screen.
+     */
+    handleExport(event) {
+        const format = event.detail.value;
+        const session = this.selectedSession;
+        if (!session || !EXPORT_FORMATS[format]) return;
+        try {
+            const transcript = {
+                title: session.title,
+                agentName: session.agentName,
+                startTime: session.startTime,
+                startTimeLabel: formatTime(session.startTime, this.userTimeZone),
+                timeZone: this.userTimeZone,
+                // Revealed messages are exported masked, as they arrived from the server
+                messages: this.processMessagesWithAgent(
+                    session.messages.map(msg => (msg.isRevealed ? { ...msg, text: msg.maskedText } : msg)),
+                    session.agentName
+                )
+            };
+            const content = buildTranscript(transcript, format);
+            downloadFile(
+                this.template.querySelector('.download-container'),
+                content,
+                buildFileName(transcript, format),
+                EXPORT_FORMATS[format].mimeType
+            );
+        } catch (error) {
+            console.error('Error exporting conversation:', error);
+            this.showError(formatLabel(LABELS.errorExportingConversation, reduceErrors(error)));
+        }
+    }
+
+    /**
+     * Pin, favorite and rename apply to the user's own conversations only
+     */
+    get canEditPreferences() {
+        return this.hasSelectedSession && !this.isReviewingOthers && !this.selectedSession.isShared;
+    }
+
+    get isSelectedPinned() {
+        return !!(this.selectedSession && this.selectedSession.isPinned);
+    }
+
+    get isSelectedFavorite() {
+        return !!(this.selectedSession && this.selectedSession.isFavorite);
+    }
+
+    get pinButtonLabel() {
+        return this.isSelectedPinned ? LABELS.unpinConversation : LABELS.pinConversation;
+    }
+
+    get favoriteButtonLabel() {
+        return this.isSelectedFavorite ? LABELS.removeFromFavorites : LABELS.addToFavorites;
+    }
+
+    get canResetTitle() {
+        return !!(this.selectedSession && this.selectedSession.hasCustomTitle);
+    }
+
+    async handleTogglePin() {
+        const isPinned = !this.isSelectedPinned;
+        const sessionId = this.selectedSession.sessionId;
+        if (await this.savePreference({ isPinned })) {
+            this.updateSession(sessionId, { isPinned });
+            if (isPinned) {
+                // Most recently pinned first
+                const pinnedSession = this.sessions.find(s => s.sessionId === sessionId);
+                this.sessions = [pinnedSession, ...this.sessions.filter(s => s.sessionId !== sessionId)];
+            } else if (this.pinnedOnlyIds.has(sessionId)) {
+                // Only listed because it was pinned; it is outside the date filter
+                this.pinnedOnlyIds.delete(sessionId);
+                this.sessions = this.sessions.filter(s => s.sessionId !== sessionId);
+            }
+        }
+    }
+
+    async handleToggleFavorite() {
+        const isFavorite = !this.isSelectedFavorite;
+        if (await this.savePreference({ isFavorite })) {
+            this.updateSession(this.selectedSession.sessionId, { isFavorite });
+        }
+    }
+
+    handleStartRename() {
+        this.draftTitle = this.selectedSession.title || '';
+        this.isRenaming = true;
+    }
+
+    handleDraftTitleChange(event) {
+        this.draftTitle = event.target.value || '';
+    }
+
+    handleRenameKeyUp(event) {
+        if (event.key === 'Enter') {
+            this.handleSaveRename();
+        } else if (event.key === 'Escape') {
+            this.handleCancelRename();
+        }
+    }
+
+    handleCancelRename() {
+        this.isRenaming = false;
+    }
+
+    async handleSaveRename() {
+        const customTitle = this.draftTitle.trim();
+        if (!customTitle) {
+            this.handleResetTitle();
+            return;
+        }
+        this.isRenaming = false;
+        if (await this.savePreference({ customTitle })) {
+            this.updateSession(this.selectedSession.sessionId, { title: customTitle, hasCustomTitle: true });
+        }
+    }
+
+    /**
+     * Drop the custom title and show the AI-generated one again
+     */
+    async handleResetTitle() {
+        this.isRenaming = false;
+        const sessionId = this.selectedSession.sessionId;
+        if (await this.savePreference({ customTitle: '' })) {
+            let title = LABELS.untitledConversation;
+            try {
+                const titles = await getSessionTitles({ sessionIds: [sessionId], viewAsId: this.viewAsId });
+                title = (titles && titles[sessionId]) || title;
+            } catch (error) {
+                console.error('Error loading session title:', error);
+            }
+            this.updateSession(sessionId, { title, hasCustomTitle: false });
+        }
+    }
+
+    /**
+     * Save pin/favorite/title changes for the selected session; returns false (after a toast) on failure
+     */
+    async savePreference(changes) {
+        try {
+            await saveSessionPreference({
+                sessionId: this.selectedSession.sessionId,
+                isPinned: null,
+                isFavorite: null,
+                customTitle: null,
+                ...changes
+            });
+            return true;
+        } catch (error) {
+            console.error('Error saving conversation preferences:', error);
+            this.showError(reduceErrors(error));
+            return false;
+        }
+    }
+
+    /**
+     * Apply changes to a loaded session and, when open, to the selected session
+     */
+    updateSession(sessionId, changes) {
+        this.sessions = this.sessions.map(s => (s.sessionId === sessionId ? { ...s, ...changes } : s));
+        if (this.selectedSession && this.selectedSession.sessionId === sessionId) {
+            this.selectedSession = { ...this.selectedSession, ...changes };
+        }
+    }
+
     /**
      * Handle back to list
      */
@@ -348,11 +1951,10 @@ export default class AgentGPT extends LightningElement {
             const isUser = role === 'USER' || role === 'ENDUSER';
             return {
                 ...msg,
-                roleLabel: this.getRoleLabel(role, null),
-                formattedTime: this.formatTime(msg.timestamp),
+                roleLabel: this.getSenderLabel(role, null),
+                formattedTime: formatTime(msg.timestamp, this.userTimeZone),
                 isUser: isUser,
-                cssClass: isUser ? 'message user-message' : 'message agent-message',
-                renderedContent: renderMessageContent(msg.text)
+                cssClass: isUser ? 'message user-message' : 'message agent-message'
             };
         });
     }
@@ -368,88 +1970,22 @@ export default class AgentGPT extends LightningElement {
             const isUser = role === 'USER' || role === 'ENDUSER';
             return {
                 ...msg,
-                roleLabel: this.getRoleLabel(role, agentName),
-                formattedTime: this.formatTime(msg.timestamp),
+                roleLabel: this.getSenderLabel(role, agentName),
+                formattedTime: formatTime(msg.timestamp, this.userTimeZone),
                 isUser: isUser,
-                cssClass: isUser ? 'message user-message' : 'message agent-message',
-                renderedContent: renderMessageContent(msg.text)
+                cssClass: isUser ? 'message user-message' : 'message agent-message'
             };
         });
     }
 
     /**
-     * Get human-readable role label
-     */
-    getRoleLabel(role, agentName) {
-        const upperRole = role.toUpperCase();
-        if (upperRole === 'USER' || upperRole === 'ENDUSER') {
-            return 'You';
-        } else if (upperRole === 'AGENT' || upperRole === 'SYSTEM') {
-            return agentName || 'Agentforce AI';
-        }
-        return role;
-    }
-
-    /**
-     * Format date for display (uses Salesforce user timezone when available).
-     */
-    formatDate(dateTimeString) {
-        if (!dateTimeString) return '';
-        try {
-            const date = new Date(dateTimeString);
-            const today = new Date();
-            const yesterday = new Date(today);
-            yesterday.setDate(yesterday.getDate() - 1);
-            const opts = this.userTimeZone ? { timeZone: this.userTimeZone } : {};
-            if (this.isSameDay(date, today)) return 'Today';
-            if (this.isSameDay(date, yesterday)) return 'Yesterday';
-            const showYear = this.userTimeZone
-                ? date.toLocaleDateString('en-CA', { ...opts, year: 'numeric' }) !== today.toLocaleDateString('en-CA', { ...opts, year: 'numeric' })
-                : date.getFullYear() !== today.getFullYear();
-            return date.toLocaleDateString('en-US', {
-                ...opts,
-                month: 'short',
-                day: 'numeric',
-                year: showYear ? 'numeric' : undefined
-            });
-        } catch (e) {
-            return dateTimeString;
-        }
-    }
-
-    /**
-     * Format time for display (uses Salesforce user timezone when available).
-     */
-    formatTime(timestamp) {
-        if (!timestamp) return '';
-        try {
-            const date = new Date(timestamp);
-            const opts = this.userTimeZone ? { timeZone: this.userTimeZone } : {};
-            return date.toLocaleTimeString('en-US', {
-                ...opts,
-                month: 'short',
-                day: 'numeric',
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            });
-        } catch (e) {
-            return timestamp;
-        }
-    }
-
-    /**
-     * Check if two dates are the same day (in user timezone when set).
+     * Sender label for a message; group review mixes several people, so only a single reviewed user gets a name
      */
-    isSameDay(date1, date2) {
-        if (!date1 || !date2 || isNaN(date1.getTime()) || isNaN(date2.getTime())) return false;
-        if (this.userTimeZone) {
-            const opts = { timeZone: this.userTimeZone };
-            return date1.toLocaleDateString('en-CA', opts) === date2.toLocaleDateString('en-CA', opts);
+    getSenderLabel(role, agentName) {
+        if (!this.reviewTarget) {
+            return getRoleLabel(role, agentName);
         }
-        return date1.getDate() === date2.getDate() &&
-               date1.getMonth() === date2.getMonth() &&
-               date1.getFullYear() === date2.getFullYear();
+        return getRoleLabel(role, agentName, this.reviewTarget.type === 'User' ? this.reviewTarget.name : LABELS.user);
     }
 
     /**
@@ -470,46 +2006,10 @@ export default class AgentGPT extends LightningElement {
     showError(message) {
         this.dispatchEvent(
             new ShowToastEvent({
-                title: 'Error',
+                title: LABELS.errorTitle,
                 message: message,
                 variant: 'error'
             })
         );
     }
-
-    /**
-     * Reduce errors to string
-     */
-    reduceErrors(errors) {
-        if (!errors) {
-            return 'Unknown error';
-        }
-        
-        if (Array.isArray(errors)) {
-            return errors
-                .filter(error => !!error)
-                .map(error => {
-                    if (error.message) {
-                        return error.message;
-                    }
-                    return error.statusText || error.body?.message || 'Unknown error';
-                })
-                .join(', ');
-        }
-        
-        if (typeof errors === 'string') {
-            return errors;
-        }
-        
-        if (errors.body) {
-            if (errors.body.message) {
-                return errors.body.message;
-            }
-            if (errors.body.pageErrors && errors.body.pageErrors.length) {
-                return errors.body.pageErrors[0].message;
-            }
-        }
-        
-        return errors.message || errors.statusText || 'Unknown error';
-    }
 }
@@ -1,13 +1,55 @@
-import { LightningElement, wire, track } from 'lwc';
+import { LightningElement, api, wire, track } from 'lwc';
 import getRecentSessionsForHome from '@salesforce/apex/AgentGPTController.getRecentSessionsForHome';
+import getRecordSessions from '@salesforce/apex/AgentGPTController.getRecordSessions';
 import getCurrentUserTimeZone from '@salesforce/apex/AgentGPTController.getCurrentUserTimeZone';
-import generateSessionTitle from '@salesforce/apex/AgentGPTController.generateSessionTitle';
+import requestSessionTitles from '@salesforce/apex/AgentGPTController.requestSessionTitles';
+import getSessionTitles from '@salesforce/apex/AgentGPTController.getSessionTitles';
+import getMessageFeedback from '@salesforce/apex/AgentGPTController.getMessageFeedback';
+import revealMessage from '@salesforce/apex/AgentGPTController.revealMessage';
+import getLiveUpdates from '@salesforce/apex/AgentGPTController.getLiveUpdates';
+import canViewUnmasked from '@salesforce/customPermission/View_Unmasked_Conversations';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
-import { renderMessageContent } from 'c/messageFormatter';
+import { NavigationMixin } from 'lightning/navigation';
+import { countMessageMatches } from 'c/messageFormatter';
+import {
+    formatDate,
+    formatTime,
+    formatClockTime,
+    getBrowserTimeZone,
+    getRoleLabel,
+    isUserRole,
+    parseDate,
+    reduceErrors,
+    formatLabel,
+    pluralLabel,
+    handleListboxKeyDown,
+    createLivePoller,
+    getNewMessages,
+    LIVE_INGESTION_ALLOWANCE_MS,
+    TEXT_DIRECTION,
+    IS_RTL
+} from 'c/conversationUtils';
+import { LABELS } from 'c/conversationLabels';
 
 const PAGE_SIZE = 5;
-
-export default class AgentSessionsHome extends LightningElement {
+const TITLE_PLACEHOLDER = LABELS.titlePlaceholder;
+/** Background title generation is polled every few seconds for about a minute. */
+const TITLE_POLL_INTERVAL_MS = 3000;
+const TITLE_POLL_ATTEMPTS = 20;
+/** On record pages, conversations mentioning the record are looked up over the last year. */
+const RECORD_LOOKBACK_DAYS = 365;
+/** Lightning tab (and App Page) that hosts the full conversation viewer. */
+const VIEWER_TAB_NAME = 'Agent_Conversations';
+/** Overlay messages arriving within this many pixels of the bottom scroll into view by themselves. */
+const NEW_MESSAGES_BOTTOM_THRESHOLD_PX = 80;
+
+export default class AgentSessionsHome extends NavigationMixin(LightningElement) {
+    /** Set on record pages: only conversations that reference this record are listed. */
+    @api recordId;
+    /** Custom Labels for the template */
+    label = LABELS;
+    /** Text direction of the user's language, for right-to-left layouts */
+    textDirection = TEXT_DIRECTION;
     @track sessions = [];
     @track totalCount = 0;
     @track currentPage = 1;
@@ -17,11 +59,100 @@ export default class AgentSessionsHome extends LightningElement {
     @track showOverlay = false;
     /** User timezone from server (Salesforce user preference); used for session tile and overlay so both match. */
     userTimeZone = null;
-    /** Cache of sessionId -> title so Prev/Next don't re-generate titles */
+    /** Cache of sessionId -> title so Prev/Next show titles still being generated when the page was fetched */
     titleCache = {};
+    /** Session IDs whose titles are being polled */
+    pendingTitleIds = new Set();
+    isDisconnected = false;
+    hasConnected = false;
+    /** The user's ratings for the open conversation: messageTimestamp -> { rating, comment } */
+    @track overlayFeedback = {};
+    /** Text for the polite live region: loading progress and the page shown, for screen readers. */
+    @track liveMessage = '';
+    /** Session whose tile gets focus back when the overlay closes */
+    returnFocusSessionId = null;
+    /** 'overlay', 'find' or 'tile': where renderedCallback moves focus next */
+    pendingFocus = null;
+    /** Find-in-conversation bar in the overlay: open state, term, zero-based current match and matches per message */
+    @track isFindOpen = false;
+    @track findTerm = '';
+    @track findIndex = 0;
+    findCounts = [];
+    /** Overlay message to scroll into view once rendered (current find match) */
+    pendingScrollIndex = null;
+    /** Live updates: first-page conversations appear as they start and the overlay gets new messages. */
+    livePoller = null;
+    /** Sessions starting after this time (epoch ms) are fetched by the next live poll; null off the first page. */
+    liveSince = null;
+    /** Pinned tiles listed above the page's own tiles (first page only) */
+    pinnedTileCount = 0;
+    /** Sessions shown or skipped since the page loaded, so later polls do not add them again */
+    knownSessionIds = new Set();
+    /** Overlay messages that arrived while it was scrolled up, and the index of the first of them */
+    @track newMessageCount = 0;
+    firstNewMessageIndex = null;
+    pendingScrollToBottom = false;
+    _agentFilter = '';
+
+    /** Comma-separated agent API names (e.g. "HR_Agent, Sales_Agent"); blank shows every agent. */
+    @api
+    get agentFilter() {
+        return this._agentFilter;
+    }
+
+    set agentFilter(value) {
+        const changed = (value || '') !== this._agentFilter;
+        this._agentFilter = value || '';
+        if (changed && !this.isDisconnected && this.hasConnected) this.loadPage(1);
+    }
+
+    get agentNames() {
+        return this._agentFilter.split(',').map(name => name.trim()).filter(name => name);
+    }
 
     connectedCallback() {
+        this.isDisconnected = false;
+        this.hasConnected = true;
         this.loadPage(1);
+        this.livePoller = createLivePoller(() => this.pollLiveUpdates());
+        this.livePoller.start();
+    }
+
+    disconnectedCallback() {
+        this.isDisconnected = true;
+        this.livePoller.stop();
+    }
+
+    renderedCallback() {
+        if (this.pendingFocus === 'overlay') {
+            const modal = this.template.querySelector('.overlay-modal');
+            if (modal) {
+                this.pendingFocus = null;
+                modal.focus();
+            }
+        } else if (this.pendingFocus === 'find') {
+            const findBar = this.template.querySelector('c-conversation-find-bar');
+            if (findBar) {
+                this.pendingFocus = null;
+                findBar.focus();
+            }
+        } else if (this.pendingFocus === 'tile') {
+            this.pendingFocus = null;
+            const tile = Array.from(this.template.querySelectorAll('[data-session-id]'))
+                .find(el => el.dataset.sessionId === this.returnFocusSessionId);
+            if (tile) tile.focus();
+            this.returnFocusSessionId = null;
+        }
+        if (this.pendingScrollToBottom) {
+            const container = this.template.querySelector('.overlay-messages');
+            this.pendingScrollToBottom = false;
+            if (container) container.scrollTop = container.scrollHeight;
+        }
+        if (this.pendingScrollIndex !== null) {
+            const row = this.template.querySelector(`[data-message-index="${this.pendingScrollIndex}"]`);
+            this.pendingScrollIndex = null;
+            if (row) row.scrollIntoView({ block: 'center' });
+        }
     }
 
     @wire(getCurrentUserTimeZone)
@@ -38,8 +169,8 @@ export default class AgentSessionsHome extends LightningElement {
         if (!this.sessions || this.sessions.length === 0 || !tz) return;
         this.sessions = this.sessions.map(s => {
             const displayTime = this.getSessionDisplayTime(s);
-            const formattedStartTime = displayTime ? this.formatStartTimeFromDate(displayTime, tz) : '';
-            const formattedDate = displayTime ? this.formatDateFromDate(displayTime, tz) : '';
+            const formattedStartTime = displayTime ? formatClockTime(displayTime, tz) : '';
+            const formattedDate = displayTime ? formatDate(displayTime, tz) : '';
             return {
                 ...s,
                 formattedDate,
@@ -70,15 +201,32 @@ export default class AgentSessionsHome extends LightningElement {
         return !this.hasNextPage;
     }
 
+    /** Paging chevrons point the other way in right-to-left languages */
+    get prevIcon() {
+        return IS_RTL ? 'utility:chevronright' : 'utility:chevronleft';
+    }
+
+    get nextIcon() {
+        return IS_RTL ? 'utility:chevronleft' : 'utility:chevronright';
+    }
+
     get pageInfo() {
-        if (this.totalCount === 0) return 'No conversations';
+        if (this.totalCount === 0) return LABELS.noConversations;
         const start = (this.currentPage - 1) * PAGE_SIZE + 1;
         const end = Math.min(this.currentPage * PAGE_SIZE, this.totalCount);
-        return `${start}–${end} of ${this.totalCount}`;
+        return formatLabel(LABELS.pageInfo, start, end, this.totalCount);
+    }
+
+    get cardTitle() {
+        return this.recordId ? LABELS.recordConversationsTitle : LABELS.recentConversationsTitle;
+    }
+
+    get emptyMessage() {
+        return this.recordId ? LABELS.noRecordConversations : LABELS.noRecentSessions;
     }
 
     get overlaySessionTitle() {
-        return (this.selectedSession && this.selectedSession.title) || 'Conversation';
+        return (this.selectedSession && this.selectedSession.title) || LABELS.conversation;
     }
 
     get hasOverlayMessages() {
@@ -90,222 +238,272 @@ export default class AgentSessionsHome extends LightningElement {
         return this.processMessagesForOverlay(this.selectedSession.messages, this.selectedSession.agentName);
     }
 
-    /**
-     * Browser timezone fallback when server does not send user timezone.
-     */
-    get browserTimeZone() {
-        try {
-            return Intl.DateTimeFormat().resolvedOptions().timeZone || undefined;
-        } catch (e) {
-            return undefined;
-        }
-    }
-
     /**
      * Timezone to use for all date/time formatting (server user timezone preferred so session tile and overlay match).
      */
     get effectiveTimeZone() {
-        return this.userTimeZone || this.browserTimeZone;
+        return this.userTimeZone || getBrowserTimeZone();
     }
 
     /**
      * Get the best available datetime for a session (first message time if startTime missing/unparseable)
      */
     getSessionDisplayTime(session) {
-        const fromStart = this.parseSessionDate(session.startTime);
+        const fromStart = parseDate(session.startTime);
         if (fromStart) return fromStart;
         const firstMsg = session.messages && session.messages.length > 0 ? session.messages[0] : null;
-        const fromMsg = firstMsg ? this.parseSessionDate(firstMsg.timestamp) : null;
+        const fromMsg = firstMsg ? parseDate(firstMsg.timestamp) : null;
         return fromMsg || null;
     }
 
-    /**
-     * Parse Apex DateTime or timestamp string to Date (handles ISO, space-separated, number)
-     */
-    parseSessionDate(val) {
-        if (val == null || val === '') return null;
-        try {
-            if (typeof val === 'number') {
-                const d = new Date(val);
-                return isNaN(d.getTime()) ? null : d;
-            }
-            const str = String(val).trim();
-            if (!str) return null;
-            const normalized = str.indexOf(' ') !== -1 && str.indexOf('T') === -1 ? str.replace(' ', 'T') : str;
-            const d = new Date(normalized);
-            return isNaN(d.getTime()) ? null : d;
-        } catch (e) {
-            return null;
-        }
+    /** Tile for a session from Apex, with its date and clock time in the given timezone */
+    toTile(session, tz) {
+        const displayTime = this.getSessionDisplayTime(session);
+        const formattedStartTime = displayTime ? formatClockTime(displayTime, tz) : '';
+        const formattedDate = displayTime ? formatDate(displayTime, tz) : '';
+        const cachedTitle = this.titleCache[session.sessionId];
+        return {
+            ...session,
+            title: cachedTitle || session.title,
+            formattedDate,
+            formattedStartTime,
+            hasStartTime: !!formattedStartTime,
+            cssClass: 'slds-list__item session-item',
+            tabIndex: -1
+        };
+    }
+
+    /** Roving tabindex: Tab enters the list on the first tile */
+    withTabStop(tiles) {
+        return tiles.map((tile, idx) => ({ ...tile, tabIndex: idx === 0 ? 0 : -1 }));
     }
 
     async loadPage(pageNumber) {
         this.isLoading = true;
+        this.liveSince = null;
         this.error = undefined;
+        this.liveMessage = LABELS.loadingConversations;
         try {
-            const result = await getRecentSessionsForHome({
-                pageSize: PAGE_SIZE,
-                pageNumber: pageNumber
-            });
+            const result = this.recordId
+                ? await getRecordSessions({
+                    recordId: this.recordId,
+                    daysLookback: RECORD_LOOKBACK_DAYS,
+                    startTime: null,
+                    endTime: null,
+                    agentNames: this.agentNames,
+                    pageSize: PAGE_SIZE,
+                    pageNumber: pageNumber
+                })
+                : await getRecentSessionsForHome({
+                    pageSize: PAGE_SIZE,
+                    pageNumber: pageNumber,
+                    agentNames: this.agentNames
+                });
             this.userTimeZone = result.userTimeZone || this.userTimeZone;
-            const tz = result.userTimeZone || this.userTimeZone || this.browserTimeZone;
-            // Use server order only (Apex sortSessionsNewestFirst); no client re-sort so sort is deterministic
+            const tz = result.userTimeZone || this.effectiveTimeZone;
+            // Use server order only (newest first, session ID as tie-breaker); no client re-sort so sort is deterministic
             let list = result.sessions || [];
-            this.sessions = list.map(s => {
-                const displayTime = this.getSessionDisplayTime(s);
-                const formattedStartTime = displayTime ? this.formatStartTimeFromDate(displayTime, tz) : '';
-                const formattedDate = displayTime ? this.formatDateFromDate(displayTime, tz) : '';
-                const cachedTitle = this.titleCache[s.sessionId];
-                return {
-                    ...s,
-                    title: cachedTitle || s.title,
-                    formattedDate,
-                    formattedStartTime,
-                    hasStartTime: !!formattedStartTime,
-                    cssClass: 'slds-list__item session-item'
-                };
-            });
+            // Pins are returned on the first page regardless of the lookback window; show them first
+            this.pinnedTileCount = 0;
+            if (result.pinnedSessions && result.pinnedSessions.length > 0) {
+                const pageIds = new Set(list.map(s => s.sessionId));
+                const pinned = result.pinnedSessions.filter(s => !pageIds.has(s.sessionId));
+                this.pinnedTileCount = pinned.length;
+                list = [...pinned, ...list];
+            }
+            this.sessions = this.withTabStop(list.map(s => this.toTile(s, tz)));
             this.totalCount = result.totalCount || 0;
             this.currentPage = pageNumber;
+            this.knownSessionIds = new Set(list.map(s => s.sessionId));
+            // Only the first page of the Home list takes new conversations
+            if (pageNumber === 1 && !this.recordId) {
+                this.liveSince = Date.now() - LIVE_INGESTION_ALLOWANCE_MS;
+            }
+            this.liveMessage = this.hasSessions ? this.pageInfo : this.emptyMessage;
             if (this.userTimeZone) this.refreshSessionTileTimes();
             this.generateMissingTitles();
         } catch (e) {
-            this.error = this.reduceErrors(e);
+            this.error = reduceErrors(e);
             this.sessions = [];
             this.totalCount = 0;
-            this.showError('Error loading conversations: ' + this.error);
+            this.liveMessage = '';
+            this.showError(formatLabel(LABELS.errorLoadingConversations, this.error));
         } finally {
             this.isLoading = false;
         }
     }
 
+    /** Stored titles come back with the page; missing ones are generated server-side in one background job. */
     async generateMissingTitles() {
-        const needingTitles = this.sessions.filter(
-            s => !this.titleCache[s.sessionId] && s.title === 'Loading...' && s.messages && s.messages.length > 0
-        );
-        for (const session of needingTitles) {
-            try {
-                const contextMessages = session.messages.slice(0, 3);
-                const conversationContext = contextMessages
-                    .map(msg => {
-                        const role = (msg.role || '').toUpperCase();
-                        const label = (role === 'USER' || role === 'ENDUSER') ? 'You' : (session.agentName || 'Agent');
-                        return `${label}: ${msg.text}`;
-                    })
-                    .join('\n');
-                const generatedTitle = await generateSessionTitle({ conversationContext });
-                if (generatedTitle && generatedTitle !== 'Loading...') {
-                    this.titleCache[session.sessionId] = generatedTitle;
-                    const idx = this.sessions.findIndex(s => s.sessionId === session.sessionId);
-                    if (idx !== -1) {
-                        this.sessions[idx].title = generatedTitle;
-                        this.sessions = [...this.sessions];
-                    }
-                }
-            } catch (err) {
-                this.titleCache[session.sessionId] = 'Untitled Conversation';
-                const idx = this.sessions.findIndex(s => s.sessionId === session.sessionId);
-                if (idx !== -1) this.sessions[idx].title = 'Untitled Conversation';
-                this.sessions = [...this.sessions];
-            }
-        }
-    }
-
-    formatDate(dateTimeVal) {
-        const date = this.parseSessionDate(dateTimeVal);
-        return date ? this.formatDateFromDate(date) : (dateTimeVal != null ? String(dateTimeVal) : '');
-    }
-
-    formatDateFromDate(date, timeZoneOverride) {
-        if (!date || isNaN(date.getTime())) return '';
-        const tz = timeZoneOverride !== undefined ? timeZoneOverride : this.effectiveTimeZone;
-        const today = new Date();
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
-        const opts = tz ? { timeZone: tz } : {};
-        if (this.isSameDay(date, today, tz)) return 'Today';
-        if (this.isSameDay(date, yesterday, tz)) return 'Yesterday';
-        const showYear = tz
-            ? date.toLocaleDateString('en-CA', { ...opts, year: 'numeric' }) !== today.toLocaleDateString('en-CA', { ...opts, year: 'numeric' })
-            : date.getFullYear() !== today.getFullYear();
-        return date.toLocaleDateString('en-US', {
-            ...opts,
-            month: 'short',
-            day: 'numeric',
-            year: showYear ? 'numeric' : undefined
-        });
-    }
-
-    formatStartTime(dateTimeVal) {
-        const date = this.parseSessionDate(dateTimeVal);
-        return date ? this.formatStartTimeFromDate(date) : '';
-    }
-
-    formatStartTimeFromDate(date, timeZoneOverride) {
-        if (!date || isNaN(date.getTime())) return '';
-        const tz = timeZoneOverride !== undefined ? timeZoneOverride : this.effectiveTimeZone;
-        
-        // Build options object directly (avoid spread which might cause issues in Locker Service)
-        const options = {
-            hour: 'numeric',
-            minute: '2-digit',
-            hour12: true
-        };
-        if (tz) {
-            options.timeZone = tz;
-        }
-        
-        return date.toLocaleTimeString('en-US', options);
-    }
-
-    formatTime(timestamp) {
-        if (!timestamp) return '';
+        const sessionIds = this.sessions
+            .filter(s => s.title === TITLE_PLACEHOLDER && s.messages && s.messages.length > 0 && !this.pendingTitleIds.has(s.sessionId))
+            .map(s => s.sessionId);
+        if (sessionIds.length === 0) return;
+        sessionIds.forEach(id => this.pendingTitleIds.add(id));
+        let missing = sessionIds;
         try {
-            const date = new Date(timestamp);
-            const opts = this.effectiveTimeZone ? { timeZone: this.effectiveTimeZone } : {};
-            return date.toLocaleTimeString('en-US', {
-                ...opts,
-                month: 'short',
-                day: 'numeric',
-                hour: 'numeric',
-                minute: '2-digit',
-                hour12: true
-            });
-        } catch (e) {
-            return String(timestamp);
+            missing = this.applyTitles(await requestSessionTitles({ sessionIds }), missing);
+            for (let attempt = 0; missing.length > 0 && attempt < TITLE_POLL_ATTEMPTS && !this.isDisconnected; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, TITLE_POLL_INTERVAL_MS));
+                missing = this.applyTitles(await getSessionTitles({ sessionIds: missing }), missing);
+            }
+        } catch (err) {
+            console.error('Error loading session titles:', err);
+        } finally {
+            sessionIds.forEach(id => this.pendingTitleIds.delete(id));
         }
-    }
-
-    isSameDay(d1, d2, timeZoneOverride) {
-        if (!d1 || !d2 || isNaN(d1.getTime()) || isNaN(d2.getTime())) return false;
-        const tz = timeZoneOverride !== undefined ? timeZoneOverride : this.effectiveTimeZone;
-        if (tz) {
-            const opts = { timeZone: tz };
-            return d1.toLocaleDateString('en-CA', opts) === d2.toLocaleDateString('en-CA', opts);
+        // Not cached, so the next page load retries generation
+        const untitled = {};
+        missing.forEach(id => { untitled[id] = LABELS.untitledConversation; });
+        this.applyTitles(untitled, [], false);
+    }
+
+    /** Apply sessionId -> title to the current page (and cache); returns the IDs still without a title. */
+    applyTitles(titles, sessionIds, cache = true) {
+        const found = titles || {};
+        if (cache) Object.assign(this.titleCache, found);
+        if (Object.keys(found).length > 0) {
+            this.sessions = this.sessions.map(s => (found[s.sessionId] ? { ...s, title: found[s.sessionId] } : s));
+            if (this.selectedSession && found[this.selectedSession.sessionId]) {
+                this.selectedSession = { ...this.selectedSession, title: found[this.selectedSession.sessionId] };
+            }
         }
-        return d1.getDate() === d2.getDate() &&
-               d1.getMonth() === d2.getMonth() &&
-               d1.getFullYear() === d2.getFullYear();
+        return sessionIds.filter(id => !found[id]);
     }
 
     processMessagesForOverlay(messages, agentName) {
         if (!messages) return [];
+        let findOffset = 0;
         return messages.map((msg, idx) => {
-            const role = (msg.role || '').toUpperCase();
-            const isUser = role === 'USER' || role === 'ENDUSER';
-            const roleLabel = isUser ? 'You' : (agentName || 'Agentforce AI');
+            // Index of the current find match within this message (out of range elsewhere)
+            const activeMatch = this.findHighlight ? this.findIndex - findOffset : -1;
+            findOffset += this.findCounts[idx] || 0;
+            const isUser = isUserRole(msg.role);
+            const roleLabel = getRoleLabel(msg.role, agentName);
+            const feedback = this.overlayFeedback[msg.timestamp] || {};
             return {
                 key: (msg.timestamp || '') + idx,
                 text: msg.text,
-                renderedContent: renderMessageContent(msg.text),
-                formattedTime: this.formatTime(msg.timestamp),
+                timestamp: msg.timestamp,
+                formattedTime: formatTime(msg.timestamp, this.effectiveTimeZone),
                 roleLabel,
                 isUser,
+                feedbackRating: feedback.rating || '',
+                feedbackComment: feedback.comment || '',
+                // Show / mask again for messages PII mask rules changed (View_Unmasked_Conversations only)
+                canReveal: !!canViewUnmasked && !!(msg.isMasked || msg.isRevealed),
+                revealLabel: msg.isRevealed ? LABELS.maskAgain : LABELS.showUnmasked,
+                revealIcon: msg.isRevealed ? 'utility:hide' : 'utility:preview',
+                index: idx,
+                activeMatch,
                 wrapperClass: 'message-row'
             };
         });
     }
 
+    /**
+     * One live poll: new conversations join the first page and new messages are appended to the open
+     * overlay. Resolves to true when anything arrived.
+     */
+    async pollLiveUpdates() {
+        const openSessionId = this.selectedSession ? this.selectedSession.sessionId : null;
+        const since = this.isLoading ? null : this.liveSince;
+        if (since === null && !openSessionId) return false;
+        const updates = await getLiveUpdates({
+            since: since !== null ? new Date(since).toISOString() : null,
+            agentNames: this.agentNames,
+            viewAsId: null,
+            openSessionId
+        });
+        if (this.isDisconnected) return false;
+        let hasNewSessions = false;
+        // A page load in the meantime resets liveSince; its list is newer than this poll's
+        if (since !== null && since === this.liveSince) {
+            this.liveSince = new Date(updates.serverTime).getTime() - LIVE_INGESTION_ALLOWANCE_MS;
+            hasNewSessions = this.applyLiveSessions(updates.sessions || []);
+        }
+        const hasNewMessages = this.applyLiveMessages(updates.openSession);
+        return hasNewSessions || hasNewMessages;
+    }
+
+    /**
+     * Merge new conversations into the first page by start time, keeping PAGE_SIZE tiles below the pinned
+     * ones. Conversations older than the page's last tile belong to later pages and are left there.
+     */
+    applyLiveSessions(liveSessions) {
+        const pinnedTiles = this.sessions.slice(0, this.pinnedTileCount);
+        const pageTiles = this.sessions.slice(this.pinnedTileCount);
+        const oldest = pageTiles.length >= PAGE_SIZE ? this.getSessionDisplayTime(pageTiles[pageTiles.length - 1]) : null;
+        const added = liveSessions.filter(s => {
+            if (this.knownSessionIds.has(s.sessionId)) return false;
+            const displayTime = this.getSessionDisplayTime(s);
+            return !oldest || (displayTime && displayTime > oldest);
+        });
+        if (added.length === 0) return false;
+        added.forEach(s => this.knownSessionIds.add(s.sessionId));
+        const tz = this.effectiveTimeZone;
+        const page = [...added.map(s => this.toTile(s, tz)), ...pageTiles]
+            .sort((a, b) => (this.getSessionDisplayTime(b) || 0) - (this.getSessionDisplayTime(a) || 0))
+            .slice(0, PAGE_SIZE);
+        this.sessions = this.withTabStop([...pinnedTiles, ...page]);
+        this.totalCount += added.length;
+        this.liveMessage = pluralLabel(LABELS.newConversationsArrived, added.length);
+        this.generateMissingTitles();
+        return true;
+    }
+
+    /**
+     * Append messages that arrived in the open conversation. They scroll into view when the reader is at
+     * the bottom; otherwise the "N new messages" button counts them.
+     */
+    applyLiveMessages(openSession) {
+        const current = this.selectedSession;
+        if (!openSession || !current || current.sessionId !== openSession.sessionId) return false;
+        const fresh = getNewMessages(current.messages, openSession.messages);
+        if (fresh.length === 0) return false;
+        const shownCount = (current.messages || []).length;
+        const container = this.template.querySelector('.overlay-messages');
+        const atBottom = !container || this.isScrolledToBottom(container);
+        this.selectedSession = { ...current, messages: [...(current.messages || []), ...fresh] };
+        this.sessions = this.sessions.map(s => (s.sessionId === current.sessionId ? { ...s, messages: openSession.messages } : s));
+        if (this.findTerm) this.countFindMatches();
+        if (atBottom) {
+            this.pendingScrollToBottom = true;
+        } else {
+            if (this.firstNewMessageIndex === null) this.firstNewMessageIndex = shownCount;
+            this.newMessageCount += fresh.length;
+        }
+        return true;
+    }
+
+    isScrolledToBottom(container) {
+        return container.scrollHeight - container.scrollTop - container.clientHeight <= NEW_MESSAGES_BOTTOM_THRESHOLD_PX;
+    }
+
+    get hasNewMessages() {
+        return this.newMessageCount > 0;
+    }
+
+    get newMessagesLabel() {
+        return pluralLabel(LABELS.newMessages, this.newMessageCount);
+    }
+
+    /** "N new messages" button: scroll to the first message that arrived while reading further up */
+    handleShowNewMessages() {
+        this.pendingScrollIndex = this.firstNewMessageIndex;
+        this.resetNewMessages();
+    }
+
+    /** Scrolling down to the new messages also dismisses the button */
+    handleOverlayScroll(event) {
+        if (this.newMessageCount > 0 && this.isScrolledToBottom(event.target)) this.resetNewMessages();
+    }
+
+    resetNewMessages() {
+        this.newMessageCount = 0;
+        this.firstNewMessageIndex = null;
+    }
+
     handlePrev() {
         if (this.hasPrevPage) this.loadPage(this.currentPage - 1);
     }
@@ -320,12 +518,175 @@ export default class AgentSessionsHome extends LightningElement {
         if (session) {
             this.selectedSession = { ...session };
             this.showOverlay = true;
+            this.resetFind();
+            this.resetNewMessages();
+            this.returnFocusSessionId = sessionId;
+            this.pendingFocus = 'overlay';
+            this.loadOverlayFeedback(sessionId);
         }
     }
 
+    /** Ratings the user already gave in this conversation, so the overlay shows them again. */
+    async loadOverlayFeedback(sessionId) {
+        this.overlayFeedback = {};
+        try {
+            const records = await getMessageFeedback({ sessionId });
+            if (!this.selectedSession || this.selectedSession.sessionId !== sessionId) return;
+            const byTimestamp = {};
+            (records || []).forEach(record => {
+                byTimestamp[record.messageTimestamp] = { rating: record.rating, comment: record.comment };
+            });
+            this.overlayFeedback = byTimestamp;
+        } catch (err) {
+            console.error('Error loading feedback:', err);
+        }
+    }
+
+    /** Reveal one masked message (fetched unmasked from the server), or mask a revealed one again */
+    async handleToggleReveal(event) {
+        const timestamp = event.currentTarget.dataset.timestamp;
+        const session = this.selectedSession;
+        const message = session && session.messages ? session.messages.find(msg => msg.timestamp === timestamp) : null;
+        if (!message) return;
+        if (message.isRevealed) {
+            this.updateOverlayMessage(timestamp, { text: message.maskedText, maskedText: null, isRevealed: false });
+            return;
+        }
+        try {
+            const text = await revealMessage({ sessionId: session.sessionId, messageTimestamp: timestamp, viewAsId: null });
+            if (typeof text !== 'string' || !this.selectedSession || this.selectedSession.sessionId !== session.sessionId) return;
+            this.updateOverlayMessage(timestamp, { text, maskedText: message.text, isRevealed: true });
+        } catch (err) {
+            console.error('Error revealing message:', err);
+            this.showError(formatLabel(LABELS.errorRevealingMessage, reduceErrors(err)));
+        }
+    }
+
+    /** Replace one overlay message; find matches are counted again since its text changed */
+    updateOverlayMessage(timestamp, changes) {
+        this.selectedSession = {
+            ...this.selectedSession,
+            messages: this.selectedSession.messages.map(msg => (msg.timestamp === timestamp ? { ...msg, ...changes } : msg))
+        };
+        this.countFindMatches();
+    }
+
+    handleFeedbackChange(event) {
+        const { messageTimestamp, rating, comment } = event.detail;
+        this.overlayFeedback = { ...this.overlayFeedback, [messageTimestamp]: { rating, comment } };
+    }
+
     handleCloseOverlay() {
         this.showOverlay = false;
         this.selectedSession = null;
+        this.resetFind();
+        this.resetNewMessages();
+        this.pendingFocus = this.returnFocusSessionId ? 'tile' : null;
+    }
+
+    /**
+     * Arrow keys, Home and End move between tiles; Enter or Space opens the focused conversation
+     */
+    handleListKeyDown(event) {
+        handleListboxKeyDown(event);
+    }
+
+    /** Escape closes the overlay; Ctrl+F (Cmd+F on Mac) opens the find bar instead of the browser's */
+    handleOverlayKeyDown(event) {
+        if (event.key === 'Escape') {
+            event.stopPropagation();
+            this.handleCloseOverlay();
+        } else if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'f') {
+            event.preventDefault();
+            this.handleOpenFind();
+        }
+    }
+
+    /** Term marked in the overlay's messages while the find bar is open */
+    get findHighlight() {
+        return this.isFindOpen ? this.findTerm : '';
+    }
+
+    get findMatchCount() {
+        return this.findCounts.reduce((total, count) => total + count, 0);
+    }
+
+    handleOpenFind() {
+        const findBar = this.template.querySelector('c-conversation-find-bar');
+        if (findBar) {
+            findBar.focus();
+            return;
+        }
+        this.isFindOpen = true;
+        this.pendingFocus = 'find';
+    }
+
+    handleFindChange(event) {
+        this.findTerm = (event.detail.term || '').trim();
+        this.findIndex = 0;
+        this.countFindMatches();
+        this.scrollToFindMatch();
+    }
+
+    countFindMatches() {
+        const messages = (this.selectedSession && this.selectedSession.messages) || [];
+        this.findCounts = this.findTerm ? messages.map(msg => countMessageMatches(msg.text, this.findTerm)) : [];
+    }
+
+    /** Next / previous match, wrapping around at either end */
+    handleFindNavigate(event) {
+        const total = this.findMatchCount;
+        if (!total) return;
+        this.findIndex = (this.findIndex + event.detail.direction + total) % total;
+        this.scrollToFindMatch();
+    }
+
+    handleFindClose() {
+        this.resetFind();
+        this.pendingFocus = 'overlay';
+    }
+
+    resetFind() {
+        this.isFindOpen = false;
+        this.findTerm = '';
+        this.findIndex = 0;
+        this.findCounts = [];
+    }
+
+    /** Scroll the message holding the current match into view (see renderedCallback) */
+    scrollToFindMatch() {
+        let offset = 0;
+        const index = this.findCounts.findIndex(count => {
+            offset += count;
+            return this.findIndex < offset;
+        });
+        if (index !== -1) this.pendingScrollIndex = index;
+    }
+
+    /** Shift+Tab from the first control wraps to the last one */
+    handleFocusTrapStart() {
+        const last = this.template.querySelector('.overlay-footer lightning-button');
+        if (last) last.focus();
+    }
+
+    /** Tab from the last control wraps to the first one */
+    handleFocusTrapEnd() {
+        const first = this.template.querySelector('.overlay-open-viewer');
+        if (first) first.focus();
+    }
+
+    /**
+     * Open the overlay's conversation in the Agent Conversations tab (agentGPT reads c__sessionId)
+     */
+    handleOpenInViewer() {
+        if (!this.selectedSession) return;
+        const sessionId = this.selectedSession.sessionId;
+        this.handleCloseOverlay();
+        this[NavigationMixin.Navigate]({
+            type: 'standard__navItemPage',
+            attributes: { apiName: VIEWER_TAB_NAME },
+            state: { c__sessionId: sessionId }
+        });
     }
 
     handleOverlayModalClick(event) {
@@ -334,20 +695,9 @@ export default class AgentSessionsHome extends LightningElement {
 
     showError(message) {
         this.dispatchEvent(new ShowToastEvent({
-            title: 'Error',
+            title: LABELS.errorTitle,
             message,
             variant: 'error'
         }));
     }
-
-    reduceErrors(errors) {
-        if (!errors) return 'Unknown error';
-        if (Array.isArray(errors)) {
-            return errors.filter(e => !!e).map(e => e.message || e.body?.message || 'Unknown error').join(', ');
-        }
-        if (typeof errors === 'string') return errors;
-        if (errors.body?.message) return errors.body.message;
-        if (errors.body?.pageErrors?.length) return errors.body.pageErrors[0].message;
-        return errors.message || errors.statusText || 'Unknown error';
-    }
 }
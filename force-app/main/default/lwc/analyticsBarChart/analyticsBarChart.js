@@ -0,0 +1,58 @@
+import { LightningElement, api } from 'lwc';
+
+const CHART_WIDTH = 600;
+const PLOT_HEIGHT = 140;
+const AXIS_HEIGHT = 20;
+const BAR_GAP = 2;
+const MAX_AXIS_LABELS = 8;
+
+/**
+ * Self-contained SVG column chart (no chart library): one column per bucket, the bucket's tooltip on
+ * hover and at most MAX_AXIS_LABELS axis labels.
+ */
+export default class AnalyticsBarChart extends LightningElement {
+    /** Buckets to plot: [{ key, label, value, tooltip }] */
+    @api buckets = [];
+    /** Accessible description of the chart */
+    @api chartLabel = '';
+
+    get viewBox() {
+        return `0 0 ${CHART_WIDTH} ${PLOT_HEIGHT + AXIS_HEIGHT}`;
+    }
+
+    get chartWidth() {
+        return CHART_WIDTH;
+    }
+
+    get baselineY() {
+        return PLOT_HEIGHT;
+    }
+
+    get labelY() {
+        return PLOT_HEIGHT + AXIS_HEIGHT - 6;
+    }
+
+    get columns() {
+        const buckets = this.buckets || [];
+        if (buckets.length === 0) return [];
+        const maxValue = Math.max(1, ...buckets.map(bucket => bucket.value || 0));
+        const slot = CHART_WIDTH / buckets.length;
+        const width = Math.max(1, slot - BAR_GAP);
+        const labelStep = Math.ceil(buckets.length / MAX_AXIS_LABELS);
+        return buckets.map((bucket, index) => {
+            const height = Math.round(((bucket.value || 0) / maxValue) * (PLOT_HEIGHT - 4));
+            const x = index * slot + BAR_GAP / 2;
+            return {
+                key: bucket.key,
+                x,
+                y: PLOT_HEIGHT - height,
+                width,
+                height,
+                tooltip: bucket.tooltip,
+                label: bucket.label,
+                labelX: x + width / 2,
+                showLabel: index % labelStep === 0
+            };
+        });
+    }
+}
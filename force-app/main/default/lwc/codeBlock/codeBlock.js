@@ -0,0 +1,131 @@
+import { LightningElement, api } from 'lwc';
+import { highlight, getLanguageLabel } from 'c/syntaxHighlighter';
+import { highlightHtml } from 'c/messageFormatter';
+import { LABELS } from 'c/conversationLabels';
+
+const COPIED_RESET_MS = 2000;
+
+/**
+ * Renders a fenced code block from an agent reply: language label, syntax highlighting and a Copy button.
+ * Highlighted markup is built from escaped tokens by c/syntaxHighlighter, so it is safe to inject.
+ */
+export default class CodeBlock extends LightningElement {
+    @api language = '';
+    label = LABELS;
+    isCopied = false;
+    _code = '';
+    _highlight = '';
+    _activeMatch = -1;
+    renderedCode = null;
+    copiedTimeout;
+
+    @api
+    get code() {
+        return this._code;
+    }
+
+    set code(value) {
+        this._code = value || '';
+        this.renderCode();
+    }
+
+    /** Search term to mark in the code (find bar; optional). */
+    @api
+    get highlight() {
+        return this._highlight;
+    }
+
+    set highlight(value) {
+        this._highlight = value || '';
+        this.renderCode();
+    }
+
+    /** Zero-based match within this block to mark as current; -1 for none. */
+    @api
+    get activeMatch() {
+        return this._activeMatch;
+    }
+
+    set activeMatch(value) {
+        this._activeMatch = Number.isInteger(value) ? value : -1;
+        this.renderCode();
+    }
+
+    get languageLabel() {
+        return getLanguageLabel(this.language) || LABELS.code;
+    }
+
+    get copyLabel() {
+        return this.isCopied ? LABELS.copied : LABELS.copy;
+    }
+
+    get copyIcon() {
+        return this.isCopied ? 'utility:check' : 'utility:copy';
+    }
+
+    renderedCallback() {
+        this.renderCode();
+    }
+
+    /**
+     * Injects the highlighted code. The template does not read the code or find marks, so setters call this
+     * directly; before the first render there is no container yet and renderedCallback does it.
+     */
+    renderCode() {
+        // Only re-inject when the code or its find marks change (renderedCallback also fires on "Copied" toggles)
+        const key = [this.language, this._code, this._highlight, this._activeMatch].join('\u0000');
+        if (this.renderedCode === key) return;
+        const container = this.template.querySelector('.code-body');
+        if (container) {
+            container.innerHTML = highlightHtml(highlight(this._code, this.language), this._highlight, this._activeMatch);
+            this.renderedCode = key;
+        }
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.copiedTimeout);
+    }
+
+    /**
+     * Copy the raw code (not the highlighted HTML) to the clipboard.
+     */
+    async handleCopy() {
+        try {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(this._code);
+            } else {
+                this.copyWithTextarea();
+            }
+            this.showCopied();
+        } catch (e) {
+            // Clipboard API can be blocked by the container; fall back to a hidden textarea
+            try {
+                this.copyWithTextarea();
+                this.showCopied();
+            } catch (fallbackError) {
+                console.error('Unable to copy code block:', fallbackError);
+            }
+        }
+    }
+
+    copyWithTextarea() {
+        const textarea = document.createElement('textarea');
+        textarea.value = this._code;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        this.template.querySelector('.copy-buffer').appendChild(textarea);
+        textarea.select();
+        const ok = document.execCommand('copy');
+        textarea.remove();
+        if (!ok) throw new Error('execCommand copy failed');
+    }
+
+    showCopied() {
+        this.isCopied = true;
+        clearTimeout(this.copiedTimeout);
+        this.copiedTimeout = setTimeout(() => {
+            this.isCopied = false;
+        }, COPIED_RESET_MS);
+    }
+}
@@ -0,0 +1,80 @@
+import { LightningElement, api } from 'lwc';
+import { LABELS } from 'c/conversationLabels';
+import { formatLabel } from 'c/conversationUtils';
+
+/**
+ * Find-in-conversation bar: search box, "3 of 12" position and previous / next / close buttons.
+ * The parent counts and marks the matches; this component fires "findchange" ({ term }),
+ * "findnavigate" ({ direction: 1 or -1 }) and "findclose".
+ */
+export default class ConversationFindBar extends LightningElement {
+    /** Number of matches for the current term */
+    @api matchCount = 0;
+    /** Zero-based index of the current match */
+    @api activeIndex = 0;
+    label = LABELS;
+    term = '';
+
+    /** Move focus to the search box (Ctrl+F while the bar is already open) */
+    @api
+    focus() {
+        const input = this.template.querySelector('.find-input');
+        if (input) {
+            input.focus();
+            input.select();
+        }
+    }
+
+    get hasTerm() {
+        return !!this.term;
+    }
+
+    get positionLabel() {
+        if (!this.matchCount) return LABELS.findNoResults;
+        return formatLabel(LABELS.findMatchPosition, this.activeIndex + 1, this.matchCount);
+    }
+
+    get positionClass() {
+        return this.matchCount ? 'find-position' : 'find-position no-results';
+    }
+
+    get isNavigationDisabled() {
+        return !this.matchCount;
+    }
+
+    handleInput(event) {
+        this.term = event.target.value || '';
+        this.dispatchEvent(new CustomEvent('findchange', { detail: { term: this.term } }));
+    }
+
+    /**
+     * Enter / Shift+Enter step through matches and Escape closes, as in the browser's find bar
+     */
+    handleKeyDown(event) {
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.navigate(event.shiftKey ? -1 : 1);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            event.stopPropagation();
+            this.handleClose();
+        }
+    }
+
+    handlePrevious() {
+        this.navigate(-1);
+    }
+
+    handleNext() {
+        this.navigate(1);
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('findclose'));
+    }
+
+    navigate(direction) {
+        if (!this.matchCount) return;
+        this.dispatchEvent(new CustomEvent('findnavigate', { detail: { direction } }));
+    }
+}
@@ -0,0 +1,431 @@
+/**
+ * Custom Labels (category AgentGPT) shown by the conversation viewer (c/agentGPT), the Home card
+ * (c/agentSessions_Home), the feedback and analytics cards and the components they use. Labels with {0}, {1} placeholders are filled in with formatLabel from
+ * c/conversationUtils. Counted labels come in one/other pairs, chosen by pluralLabel for the user's locale.
+ */
+import today from '@salesforce/label/c.AgentGPT_Today';
+import yesterday from '@salesforce/label/c.AgentGPT_Yesterday';
+import you from '@salesforce/label/c.AgentGPT_You';
+import user from '@salesforce/label/c.AgentGPT_User';
+import defaultAgentName from '@salesforce/label/c.AgentGPT_Default_Agent_Name';
+import agent from '@salesforce/label/c.AgentGPT_Agent';
+import titlePlaceholder from '@salesforce/label/c.AgentGPT_Title_Placeholder';
+import untitledConversation from '@salesforce/label/c.AgentGPT_Untitled_Conversation';
+import conversation from '@salesforce/label/c.AgentGPT_Conversation';
+import loading from '@salesforce/label/c.AgentGPT_Loading';
+import cancel from '@salesforce/label/c.AgentGPT_Cancel';
+import close from '@salesforce/label/c.AgentGPT_Close';
+import save from '@salesforce/label/c.AgentGPT_Save';
+import pinned from '@salesforce/label/c.AgentGPT_Pinned';
+import favorite from '@salesforce/label/c.AgentGPT_Favorite';
+import endOfTranscript from '@salesforce/label/c.AgentGPT_End_Of_Transcript';
+import noMessages from '@salesforce/label/c.AgentGPT_No_Messages';
+import recordConversationsTitle from '@salesforce/label/c.AgentGPT_Record_Conversations_Title';
+import errorTitle from '@salesforce/label/c.AgentGPT_Error_Title';
+import errorLoadingConversations from '@salesforce/label/c.AgentGPT_Error_Loading_Conversations';
+import showUnmasked from '@salesforce/label/c.AgentGPT_Show_Unmasked';
+import maskAgain from '@salesforce/label/c.AgentGPT_Mask_Again';
+import errorRevealingMessage from '@salesforce/label/c.AgentGPT_Error_Revealing_Message';
+import pauseLiveUpdates from '@salesforce/label/c.AgentGPT_Pause_Live_Updates';
+import resumeLiveUpdates from '@salesforce/label/c.AgentGPT_Resume_Live_Updates';
+import employeeConversationsTitle from '@salesforce/label/c.AgentGPT_Employee_Conversations_Title';
+import loadingConversations from '@salesforce/label/c.AgentGPT_Loading_Conversations';
+import history from '@salesforce/label/c.AgentGPT_History';
+import filter from '@salesforce/label/c.AgentGPT_Filter';
+import dateRange from '@salesforce/label/c.AgentGPT_Date_Range';
+import customRange from '@salesforce/label/c.AgentGPT_Custom_Range';
+import groupBy from '@salesforce/label/c.AgentGPT_Group_By';
+import groupByDate from '@salesforce/label/c.AgentGPT_Group_By_Date';
+import backToMyConversations from '@salesforce/label/c.AgentGPT_Back_To_My_Conversations';
+import reviewUserOrGroup from '@salesforce/label/c.AgentGPT_Review_User_Or_Group';
+import searchReviewTargets from '@salesforce/label/c.AgentGPT_Search_Review_Targets';
+import reviewNote from '@salesforce/label/c.AgentGPT_Review_Note';
+import viewingUser from '@salesforce/label/c.AgentGPT_Viewing_User';
+import viewingGroup from '@salesforce/label/c.AgentGPT_Viewing_Group';
+import startDate from '@salesforce/label/c.AgentGPT_Start_Date';
+import endDate from '@salesforce/label/c.AgentGPT_End_Date';
+import apply from '@salesforce/label/c.AgentGPT_Apply';
+import dateRangeRequired from '@salesforce/label/c.AgentGPT_Date_Range_Required';
+import dateRangeOrder from '@salesforce/label/c.AgentGPT_Date_Range_Order';
+import dateRangeFormat from '@salesforce/label/c.AgentGPT_Date_Range_Format';
+import agents from '@salesforce/label/c.AgentGPT_Agents';
+import allAgents from '@salesforce/label/c.AgentGPT_All_Agents';
+import showAllAgents from '@salesforce/label/c.AgentGPT_Show_All_Agents';
+import agentOption from '@salesforce/label/c.AgentGPT_Agent_Option';
+import unknownAgent from '@salesforce/label/c.AgentGPT_Unknown_Agent';
+import unknownError from '@salesforce/label/c.AgentGPT_Unknown_Error';
+import searchResults from '@salesforce/label/c.AgentGPT_Search_Results';
+import findInConversation from '@salesforce/label/c.AgentGPT_Find_In_Conversation';
+import findMatchPosition from '@salesforce/label/c.AgentGPT_Find_Match_Position';
+import findNoResults from '@salesforce/label/c.AgentGPT_Find_No_Results';
+import previousMatch from '@salesforce/label/c.AgentGPT_Previous_Match';
+import nextMatch from '@salesforce/label/c.AgentGPT_Next_Match';
+import closeFind from '@salesforce/label/c.AgentGPT_Close_Find';
+import searchConversations from '@salesforce/label/c.AgentGPT_Search_Conversations';
+import searchAllConversations from '@salesforce/label/c.AgentGPT_Search_All_Conversations';
+import searchingAllConversations from '@salesforce/label/c.AgentGPT_Searching_All_Conversations';
+import backToHistory from '@salesforce/label/c.AgentGPT_Back_To_History';
+import noMatchingConversations from '@salesforce/label/c.AgentGPT_No_Matching_Conversations';
+import noConversationsFound from '@salesforce/label/c.AgentGPT_No_Conversations_Found';
+import noRecordConversationsInRange from '@salesforce/label/c.AgentGPT_No_Record_Conversations_In_Range';
+import adjustDateFilter from '@salesforce/label/c.AgentGPT_Adjust_Date_Filter';
+import sharedWithMe from '@salesforce/label/c.AgentGPT_Shared_With_Me';
+import earlier from '@salesforce/label/c.AgentGPT_Earlier';
+import thisWeek from '@salesforce/label/c.AgentGPT_This_Week';
+import lastWeek from '@salesforce/label/c.AgentGPT_Last_Week';
+import loadingMoreConversations from '@salesforce/label/c.AgentGPT_Loading_More_Conversations';
+import loadMore from '@salesforce/label/c.AgentGPT_Load_More';
+import conversationTitle from '@salesforce/label/c.AgentGPT_Conversation_Title';
+import useAiTitle from '@salesforce/label/c.AgentGPT_Use_AI_Title';
+import renameConversation from '@salesforce/label/c.AgentGPT_Rename_Conversation';
+import pinConversation from '@salesforce/label/c.AgentGPT_Pin_Conversation';
+import unpinConversation from '@salesforce/label/c.AgentGPT_Unpin_Conversation';
+import addToFavorites from '@salesforce/label/c.AgentGPT_Add_To_Favorites';
+import removeFromFavorites from '@salesforce/label/c.AgentGPT_Remove_From_Favorites';
+import shareConversation from '@salesforce/label/c.AgentGPT_Share_Conversation';
+import summarize from '@salesforce/label/c.AgentGPT_Summarize';
+import exportMenu from '@salesforce/label/c.AgentGPT_Export';
+import exportConversation from '@salesforce/label/c.AgentGPT_Export_Conversation';
+import summary from '@salesforce/label/c.AgentGPT_Summary';
+import summaryGenerated from '@salesforce/label/c.AgentGPT_Summary_Generated';
+import summarizingConversation from '@salesforce/label/c.AgentGPT_Summarizing_Conversation';
+import goal from '@salesforce/label/c.AgentGPT_Goal';
+import whatTheAgentDid from '@salesforce/label/c.AgentGPT_What_The_Agent_Did';
+import outcome from '@salesforce/label/c.AgentGPT_Outcome';
+import actionItems from '@salesforce/label/c.AgentGPT_Action_Items';
+import noFollowUpActions from '@salesforce/label/c.AgentGPT_No_Follow_Up_Actions';
+import regenerate from '@salesforce/label/c.AgentGPT_Regenerate';
+import copyMessageLink from '@salesforce/label/c.AgentGPT_Copy_Message_Link';
+import linkCopied from '@salesforce/label/c.AgentGPT_Link_Copied';
+import linkCopiedMessage from '@salesforce/label/c.AgentGPT_Link_Copied_Message';
+import copyLinkFailed from '@salesforce/label/c.AgentGPT_Copy_Link_Failed';
+import code from '@salesforce/label/c.AgentGPT_Code';
+import copyCode from '@salesforce/label/c.AgentGPT_Copy_Code';
+import copy from '@salesforce/label/c.AgentGPT_Copy';
+import copied from '@salesforce/label/c.AgentGPT_Copied';
+import conversationUnavailable from '@salesforce/label/c.AgentGPT_Conversation_Unavailable';
+import errorSearchingConversations from '@salesforce/label/c.AgentGPT_Error_Searching_Conversations';
+import errorOpeningConversation from '@salesforce/label/c.AgentGPT_Error_Opening_Conversation';
+import errorSearchingUsers from '@salesforce/label/c.AgentGPT_Error_Searching_Users';
+import errorExportingConversation from '@salesforce/label/c.AgentGPT_Error_Exporting_Conversation';
+import trace from '@salesforce/label/c.AgentGPT_Trace';
+import loadingTrace from '@salesforce/label/c.AgentGPT_Loading_Trace';
+import noTraceRecorded from '@salesforce/label/c.AgentGPT_No_Trace_Recorded';
+import traceTopic from '@salesforce/label/c.AgentGPT_Trace_Topic';
+import noTopicSelected from '@salesforce/label/c.AgentGPT_No_Topic_Selected';
+import noStepsRecorded from '@salesforce/label/c.AgentGPT_No_Steps_Recorded';
+import step from '@salesforce/label/c.AgentGPT_Step';
+import stepTypeLlm from '@salesforce/label/c.AgentGPT_Step_Type_LLM';
+import stepTypeAction from '@salesforce/label/c.AgentGPT_Step_Type_Action';
+import input from '@salesforce/label/c.AgentGPT_Input';
+import output from '@salesforce/label/c.AgentGPT_Output';
+import archivedNotice from '@salesforce/label/c.AgentGPT_Archived_Notice';
+import selectConversation from '@salesforce/label/c.AgentGPT_Select_Conversation';
+import selectConversationHint from '@salesforce/label/c.AgentGPT_Select_Conversation_Hint';
+import recentConversationsTitle from '@salesforce/label/c.AgentGPT_Recent_Conversations_Title';
+import noConversations from '@salesforce/label/c.AgentGPT_No_Conversations';
+import pageInfo from '@salesforce/label/c.AgentGPT_Page_Info';
+import noRecordConversations from '@salesforce/label/c.AgentGPT_No_Record_Conversations';
+import noRecentSessions from '@salesforce/label/c.AgentGPT_No_Recent_Sessions';
+import agentforce from '@salesforce/label/c.AgentGPT_Agentforce';
+import previous from '@salesforce/label/c.AgentGPT_Previous';
+import next from '@salesforce/label/c.AgentGPT_Next';
+import openInViewer from '@salesforce/label/c.AgentGPT_Open_In_Viewer';
+import shareHow from '@salesforce/label/c.AgentGPT_Share_How';
+import postToChatter from '@salesforce/label/c.AgentGPT_Post_To_Chatter';
+import shareWithColleague from '@salesforce/label/c.AgentGPT_Share_With_Colleague';
+import postTo from '@salesforce/label/c.AgentGPT_Post_To';
+import change from '@salesforce/label/c.AgentGPT_Change';
+import search from '@salesforce/label/c.AgentGPT_Search';
+import searchPeopleAndGroups from '@salesforce/label/c.AgentGPT_Search_People_And_Groups';
+import searchPeople from '@salesforce/label/c.AgentGPT_Search_People';
+import thisRecordFeed from '@salesforce/label/c.AgentGPT_This_Record_Feed';
+import thisRecord from '@salesforce/label/c.AgentGPT_This_Record';
+import include from '@salesforce/label/c.AgentGPT_Include';
+import answer from '@salesforce/label/c.AgentGPT_Answer';
+import oneAnswer from '@salesforce/label/c.AgentGPT_One_Answer';
+import fullTranscript from '@salesforce/label/c.AgentGPT_Full_Transcript';
+import shareNote from '@salesforce/label/c.AgentGPT_Share_Note';
+import shareColleagueHint from '@salesforce/label/c.AgentGPT_Share_Colleague_Hint';
+import sharedWith from '@salesforce/label/c.AgentGPT_Shared_With';
+import remove from '@salesforce/label/c.AgentGPT_Remove';
+import post from '@salesforce/label/c.AgentGPT_Post';
+import shared from '@salesforce/label/c.AgentGPT_Shared';
+import postedTo from '@salesforce/label/c.AgentGPT_Posted_To';
+import colleagueCanOpen from '@salesforce/label/c.AgentGPT_Colleague_Can_Open';
+import somethingWentWrong from '@salesforce/label/c.AgentGPT_Something_Went_Wrong';
+import helpful from '@salesforce/label/c.AgentGPT_Helpful';
+import notHelpful from '@salesforce/label/c.AgentGPT_Not_Helpful';
+import addComment from '@salesforce/label/c.AgentGPT_Add_Comment';
+import editComment from '@salesforce/label/c.AgentGPT_Edit_Comment';
+import feedbackComment from '@salesforce/label/c.AgentGPT_Feedback_Comment';
+import feedbackCommentPlaceholder from '@salesforce/label/c.AgentGPT_Feedback_Comment_Placeholder';
+import errorSavingFeedback from '@salesforce/label/c.AgentGPT_Error_Saving_Feedback';
+import feedback from '@salesforce/label/c.AgentGPT_Feedback';
+import agentFeedbackTitle from '@salesforce/label/c.AgentGPT_Agent_Feedback_Title';
+import helpfulShare from '@salesforce/label/c.AgentGPT_Helpful_Share';
+import noFeedbackInPeriod from '@salesforce/label/c.AgentGPT_No_Feedback_In_Period';
+import errorLoadingFeedback from '@salesforce/label/c.AgentGPT_Error_Loading_Feedback';
+import analytics from '@salesforce/label/c.AgentGPT_Analytics';
+import analyticsTitle from '@salesforce/label/c.AgentGPT_Analytics_Title';
+import period from '@salesforce/label/c.AgentGPT_Period';
+import noConversationsInPeriod from '@salesforce/label/c.AgentGPT_No_Conversations_In_Period';
+import conversations from '@salesforce/label/c.AgentGPT_Conversations';
+import avgTurnsPerConversation from '@salesforce/label/c.AgentGPT_Avg_Turns_Per_Conversation';
+import avgDuration from '@salesforce/label/c.AgentGPT_Avg_Duration';
+import busiestHour from '@salesforce/label/c.AgentGPT_Busiest_Hour';
+import conversationsPerDay from '@salesforce/label/c.AgentGPT_Conversations_Per_Day';
+import busiestHours from '@salesforce/label/c.AgentGPT_Busiest_Hours';
+import conversationsByHour from '@salesforce/label/c.AgentGPT_Conversations_By_Hour';
+import sessionsPerAgent from '@salesforce/label/c.AgentGPT_Sessions_Per_Agent';
+import sessions from '@salesforce/label/c.AgentGPT_Sessions';
+import avgTurns from '@salesforce/label/c.AgentGPT_Avg_Turns';
+import analyticsTimeZone from '@salesforce/label/c.AgentGPT_Analytics_Time_Zone';
+import errorLoadingAnalytics from '@salesforce/label/c.AgentGPT_Error_Loading_Analytics';
+import durationSeconds from '@salesforce/label/c.AgentGPT_Duration_Seconds';
+import durationMinutes from '@salesforce/label/c.AgentGPT_Duration_Minutes';
+import durationHours from '@salesforce/label/c.AgentGPT_Duration_Hours';
+import exportMarkdown from '@salesforce/label/c.AgentGPT_Export_Markdown';
+import exportJson from '@salesforce/label/c.AgentGPT_Export_JSON';
+import exportCsv from '@salesforce/label/c.AgentGPT_Export_CSV';
+import exportHtml from '@salesforce/label/c.AgentGPT_Export_HTML';
+import sessionTitle from '@salesforce/label/c.AgentGPT_Session_Title';
+import sessionStart from '@salesforce/label/c.AgentGPT_Session_Start';
+import role from '@salesforce/label/c.AgentGPT_Role';
+import sender from '@salesforce/label/c.AgentGPT_Sender';
+import time from '@salesforce/label/c.AgentGPT_Time';
+import timestampUtc from '@salesforce/label/c.AgentGPT_Timestamp_UTC';
+import message from '@salesforce/label/c.AgentGPT_Message';
+import transcriptAgent from '@salesforce/label/c.AgentGPT_Transcript_Agent';
+import transcriptStarted from '@salesforce/label/c.AgentGPT_Transcript_Started';
+import previousDaysOne from '@salesforce/label/c.AgentGPT_Previous_Days_One';
+import previousDaysOther from '@salesforce/label/c.AgentGPT_Previous_Days_Other';
+import lastDaysOne from '@salesforce/label/c.AgentGPT_Last_Days_One';
+import lastDaysOther from '@salesforce/label/c.AgentGPT_Last_Days_Other';
+import agentCountOne from '@salesforce/label/c.AgentGPT_Agent_Count_One';
+import agentCountOther from '@salesforce/label/c.AgentGPT_Agent_Count_Other';
+import conversationCountOne from '@salesforce/label/c.AgentGPT_Conversation_Count_One';
+import conversationCountOther from '@salesforce/label/c.AgentGPT_Conversation_Count_Other';
+import matchCountOne from '@salesforce/label/c.AgentGPT_Match_Count_One';
+import matchCountOther from '@salesforce/label/c.AgentGPT_Match_Count_Other';
+import conversationsLoadedOne from '@salesforce/label/c.AgentGPT_Conversations_Loaded_One';
+import conversationsLoadedOther from '@salesforce/label/c.AgentGPT_Conversations_Loaded_Other';
+import conversationsFoundOne from '@salesforce/label/c.AgentGPT_Conversations_Found_One';
+import conversationsFoundOther from '@salesforce/label/c.AgentGPT_Conversations_Found_Other';
+import errorCountOne from '@salesforce/label/c.AgentGPT_Error_Count_One';
+import errorCountOther from '@salesforce/label/c.AgentGPT_Error_Count_Other';
+import newMessagesOne from '@salesforce/label/c.AgentGPT_New_Messages_One';
+import newMessagesOther from '@salesforce/label/c.AgentGPT_New_Messages_Other';
+import newConversationsArrivedOne from '@salesforce/label/c.AgentGPT_New_Conversations_Arrived_One';
+import newConversationsArrivedOther from '@salesforce/label/c.AgentGPT_New_Conversations_Arrived_Other';
+import messageCountOne from '@salesforce/label/c.AgentGPT_Message_Count_One';
+import messageCountOther from '@salesforce/label/c.AgentGPT_Message_Count_Other';
+
+export const LABELS = {
+    today,
+    yesterday,
+    you,
+    user,
+    defaultAgentName,
+    agent,
+    titlePlaceholder,
+    untitledConversation,
+    conversation,
+    loading,
+    cancel,
+    close,
+    save,
+    pinned,
+    favorite,
+    endOfTranscript,
+    noMessages,
+    recordConversationsTitle,
+    errorTitle,
+    errorLoadingConversations,
+    showUnmasked,
+    maskAgain,
+    errorRevealingMessage,
+    pauseLiveUpdates,
+    resumeLiveUpdates,
+    employeeConversationsTitle,
+    loadingConversations,
+    history,
+    filter,
+    dateRange,
+    customRange,
+    groupBy,
+    groupByDate,
+    backToMyConversations,
+    reviewUserOrGroup,
+    searchReviewTargets,
+    reviewNote,
+    viewingUser,
+    viewingGroup,
+    startDate,
+    endDate,
+    apply,
+    dateRangeRequired,
+    dateRangeOrder,
+    dateRangeFormat,
+    agents,
+    allAgents,
+    showAllAgents,
+    agentOption,
+    unknownAgent,
+    unknownError,
+    searchResults,
+    findInConversation,
+    findMatchPosition,
+    findNoResults,
+    previousMatch,
+    nextMatch,
+    closeFind,
+    searchConversations,
+    searchAllConversations,
+    searchingAllConversations,
+    backToHistory,
+    noMatchingConversations,
+    noConversationsFound,
+    noRecordConversationsInRange,
+    adjustDateFilter,
+    sharedWithMe,
+    earlier,
+    thisWeek,
+    lastWeek,
+    loadingMoreConversations,
+    loadMore,
+    conversationTitle,
+    useAiTitle,
+    renameConversation,
+    pinConversation,
+    unpinConversation,
+    addToFavorites,
+    removeFromFavorites,
+    shareConversation,
+    summarize,
+    exportMenu,
+    exportConversation,
+    summary,
+    summaryGenerated,
+    summarizingConversation,
+    goal,
+    whatTheAgentDid,
+    outcome,
+    actionItems,
+    noFollowUpActions,
+    regenerate,
+    copyMessageLink,
+    linkCopied,
+    linkCopiedMessage,
+    copyLinkFailed,
+    code,
+    copyCode,
+    copy,
+    copied,
+    conversationUnavailable,
+    errorSearchingConversations,
+    errorOpeningConversation,
+    errorSearchingUsers,
+    errorExportingConversation,
+    trace,
+    loadingTrace,
+    noTraceRecorded,
+    traceTopic,
+    noTopicSelected,
+    noStepsRecorded,
+    step,
+    stepTypeLlm,
+    stepTypeAction,
+    input,
+    output,
+    archivedNotice,
+    selectConversation,
+    selectConversationHint,
+    recentConversationsTitle,
+    noConversations,
+    pageInfo,
+    noRecordConversations,
+    noRecentSessions,
+    agentforce,
+    previous,
+    next,
+    openInViewer,
+    shareHow,
+    postToChatter,
+    shareWithColleague,
+    postTo,
+    change,
+    search,
+    searchPeopleAndGroups,
+    searchPeople,
+    thisRecordFeed,
+    thisRecord,
+    include,
+    answer,
+    oneAnswer,
+    fullTranscript,
+    shareNote,
+    shareColleagueHint,
+    sharedWith,
+    remove,
+    post,
+    shared,
+    postedTo,
+    colleagueCanOpen,
+    somethingWentWrong,
+    helpful,
+    notHelpful,
+    addComment,
+    editComment,
+    feedbackComment,
+    feedbackCommentPlaceholder,
+    errorSavingFeedback,
+    feedback,
+    agentFeedbackTitle,
+    helpfulShare,
+    noFeedbackInPeriod,
+    errorLoadingFeedback,
+    analytics,
+    analyticsTitle,
+    period,
+    noConversationsInPeriod,
+    conversations,
+    avgTurnsPerConversation,
+    avgDuration,
+    busiestHour,
+    conversationsPerDay,
+    busiestHours,
+    conversationsByHour,
+    sessionsPerAgent,
+    sessions,
+    avgTurns,
+    analyticsTimeZone,
+    errorLoadingAnalytics,
+    durationSeconds,
+    durationMinutes,
+    durationHours,
+    exportMarkdown,
+    exportJson,
+    exportCsv,
+    exportHtml,
+    sessionTitle,
+    sessionStart,
+    role,
+    sender,
+    time,
+    timestampUtc,
+    message,
+    transcriptAgent,
+    transcriptStarted,
+    previousDays: { one: previousDaysOne, other: previousDaysOther },
+    lastDays: { one: lastDaysOne, other: lastDaysOther },
+    agentCount: { one: agentCountOne, other: agentCountOther },
+    conversationCount: { one: conversationCountOne, other: conversationCountOther },
+    matchCount: { one: matchCountOne, other: matchCountOther },
+    conversationsLoaded: { one: conversationsLoadedOne, other: conversationsLoadedOther },
+    conversationsFound: { one: conversationsFoundOne, other: conversationsFoundOther },
+    errorCount: { one: errorCountOne, other: errorCountOther },
+    newMessages: { one: newMessagesOne, other: newMessagesOther },
+    newConversationsArrived: { one: newConversationsArrivedOne, other: newConversationsArrivedOther },
+    messageCount: { one: messageCountOne, other: messageCountOther }
+};
@@ -0,0 +1,337 @@
+import {
+    DAY_MS,
+    parseDate,
+    getDateKey,
+    dateKeyToMs,
+    shiftDateKey,
+    getCalendarDayMs,
+    isSameDay,
+    getZoneOffsetMs,
+    getZonedDayStart,
+    formatDate,
+    formatTime,
+    formatClockTime,
+    formatCalendarDay,
+    formatNumber,
+    formatLabel,
+    pluralLabel,
+    getRoleLabel,
+    isUserRole,
+    handleListboxKeyDown,
+    LIVE_POLL_MIN_MS,
+    LIVE_POLL_MAX_MS,
+    nextPollDelay,
+    createLivePoller,
+    getNewMessages,
+    reduceErrors
+} from 'c/conversationUtils';
+import { LABELS } from 'c/conversationLabels';
+
+// @salesforce/i18n/locale resolves to en-US under sfdx-lwc-jest; Custom Labels resolve to their names
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('c-conversation-utils', () => {
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('parseDate', () => {
+        it('parses ISO, space-separated and epoch timestamps', () => {
+            expect(parseDate('2026-10-05T21:30:00.000Z').toISOString()).toBe('2026-10-05T21:30:00.000Z');
+            expect(parseDate('2026-10-05 21:30:00.000Z').toISOString()).toBe('2026-10-05T21:30:00.000Z');
+            expect(parseDate(Date.UTC(2026, 9, 5)).toISOString()).toBe('2026-10-05T00:00:00.000Z');
+        });
+
+        it('returns null for missing or unparseable values', () => {
+            expect(parseDate(null)).toBeNull();
+            expect(parseDate('')).toBeNull();
+            expect(parseDate('   ')).toBeNull();
+            expect(parseDate('not a date')).toBeNull();
+            expect(parseDate(new Date(NaN))).toBeNull();
+        });
+    });
+
+    describe('calendar days', () => {
+        // 04:30 UTC on March 8 is still March 7 in the Americas
+        const instant = new Date('2026-03-08T04:30:00Z');
+
+        it('puts an instant on the calendar day of the timezone', () => {
+            expect(getDateKey(instant, 'UTC')).toBe('2026-03-08');
+            expect(getDateKey(instant, 'America/New_York')).toBe('2026-03-07');
+            expect(getDateKey(instant, 'America/Los_Angeles')).toBe('2026-03-07');
+            expect(getDateKey(instant, 'Asia/Tokyo')).toBe('2026-03-08');
+            expect(getDateKey(instant, 'Asia/Kolkata')).toBe('2026-03-08');
+        });
+
+        it('compares days in the timezone, not in UTC', () => {
+            const evening = new Date('2026-03-07T23:00:00Z');
+            expect(isSameDay(instant, evening, 'UTC')).toBe(false);
+            expect(isSameDay(instant, evening, 'America/New_York')).toBe(true);
+            expect(isSameDay(instant, new Date(NaN), 'UTC')).toBe(false);
+        });
+
+        it('steps day keys without DST drift', () => {
+            expect(shiftDateKey('2026-03-07', 1)).toBe('2026-03-08');
+            expect(shiftDateKey('2026-03-08', 1)).toBe('2026-03-09');
+            expect(shiftDateKey('2026-11-01', -1)).toBe('2026-10-31');
+            expect(shiftDateKey('2028-02-28', 1)).toBe('2028-02-29');
+            expect(dateKeyToMs('2026-03-09') - dateKeyToMs('2026-03-08')).toBe(DAY_MS);
+        });
+
+        it('returns UTC midnight of the zoned day', () => {
+            expect(getCalendarDayMs(instant, 'America/New_York')).toBe(Date.UTC(2026, 2, 7));
+            expect(getCalendarDayMs(new Date(NaN), 'UTC')).toBeNull();
+        });
+    });
+
+    describe('getZonedDayStart', () => {
+        it('finds midnight on ordinary days', () => {
+            expect(getZonedDayStart('2026-10-18', 'UTC')).toBe('2026-10-18T00:00:00.000Z');
+            expect(getZonedDayStart('2026-10-18', 'America/Los_Angeles')).toBe('2026-10-18T07:00:00.000Z');
+            expect(getZonedDayStart('2026-10-18', 'Asia/Kolkata')).toBe('2026-10-17T18:30:00.000Z');
+        });
+
+        it('uses the offset in force at midnight around DST changes', () => {
+            // New York springs forward at 02:00 on March 8 and falls back at 02:00 on November 1
+            expect(getZonedDayStart('2026-03-08', 'America/New_York')).toBe('2026-03-08T05:00:00.000Z');
+            expect(getZonedDayStart('2026-03-09', 'America/New_York')).toBe('2026-03-09T04:00:00.000Z');
+            expect(getZonedDayStart('2026-11-01', 'America/New_York')).toBe('2026-11-01T04:00:00.000Z');
+            expect(getZonedDayStart('2026-11-02', 'America/New_York')).toBe('2026-11-02T05:00:00.000Z');
+            // London changes at 01:00 UTC, just after midnight
+            expect(getZonedDayStart('2026-03-29', 'Europe/London')).toBe('2026-03-29T00:00:00.000Z');
+            expect(getZonedDayStart('2026-03-30', 'Europe/London')).toBe('2026-03-29T23:00:00.000Z');
+        });
+
+        it('starts the day after the gap when DST skips midnight', () => {
+            // Sao Paulo jumped from 00:00 to 01:00 on 4 November 2018
+            expect(getZonedDayStart('2018-11-04', 'America/Sao_Paulo')).toBe('2018-11-04T03:00:00.000Z');
+        });
+
+        it('uses the later midnight when DST repeats the hour before it', () => {
+            // Sao Paulo went from 00:00 back to 23:00 on 17 February 2019
+            expect(getZonedDayStart('2019-02-17', 'America/Sao_Paulo')).toBe('2019-02-17T03:00:00.000Z');
+        });
+
+        it('reports the zone offset at an instant', () => {
+            expect(getZoneOffsetMs(Date.UTC(2026, 0, 15), 'America/New_York')).toBe(-5 * HOUR_MS);
+            expect(getZoneOffsetMs(Date.UTC(2026, 6, 15), 'America/New_York')).toBe(-4 * HOUR_MS);
+            expect(getZoneOffsetMs(Date.UTC(2026, 6, 15), 'Asia/Kolkata')).toBe(5.5 * HOUR_MS);
+        });
+    });
+
+    describe('formatDate', () => {
+        it('labels today and yesterday in the given timezone', () => {
+            jest.useFakeTimers();
+            jest.setSystemTime(new Date('2026-10-18T02:00:00Z'));
+            // 20:00 UTC on Oct 17 is yesterday in UTC but today in Los Angeles (now Oct 17, 19:00 there)
+            expect(formatDate('2026-10-17T20:00:00Z', 'UTC')).toBe(LABELS.yesterday);
+            expect(formatDate('2026-10-17T20:00:00Z', 'America/Los_Angeles')).toBe(LABELS.today);
+            expect(formatDate('2026-10-16T20:00:00Z', 'America/Los_Angeles')).toBe(LABELS.yesterday);
+            expect(formatDate('2026-10-16 20:00:00Z', 'UTC')).toBe('Oct 16');
+        });
+
+        it('counts yesterday in calendar days across a DST change', () => {
+            jest.useFakeTimers();
+            // Noon on November 2 in New York, the day after clocks fell back
+            jest.setSystemTime(new Date('2026-11-02T17:00:00Z'));
+            expect(formatDate('2026-11-01T04:30:00Z', 'America/New_York')).toBe(LABELS.yesterday);
+            expect(formatDate('2026-11-01T03:30:00Z', 'America/New_York')).toBe('Oct 31');
+        });
+
+        it('shows the year only when it differs from the current year in the timezone', () => {
+            jest.useFakeTimers();
+            jest.setSystemTime(new Date('2026-01-01T03:00:00Z'));
+            expect(formatDate('2025-12-31T20:00:00Z', 'Asia/Tokyo')).toBe(LABELS.today);
+            expect(formatDate('2025-12-20T12:00:00Z', 'UTC')).toBe('Dec 20, 2025');
+            // Still 2025 in Los Angeles, so no year
+            expect(formatDate('2025-12-20T12:00:00Z', 'America/Los_Angeles')).toBe('Dec 20');
+        });
+
+        it('passes through empty and unparseable values', () => {
+            expect(formatDate(null, 'UTC')).toBe('');
+            expect(formatDate('not a date', 'UTC')).toBe('not a date');
+        });
+    });
+
+    describe('time formatting', () => {
+        it('formats date and time of day in the timezone', () => {
+            expect(formatTime('2026-10-05T21:30:00Z', 'America/Los_Angeles')).toMatch(/^Oct 5, 2:30\sPM$/);
+            expect(formatTime('2026-10-05T21:30:00Z', 'Asia/Tokyo')).toMatch(/^Oct 6, 6:30\sAM$/);
+            expect(formatTime('', 'UTC')).toBe('');
+        });
+
+        it('formats the time of day only', () => {
+            expect(formatClockTime('2026-10-05 21:30:00Z', 'UTC')).toMatch(/^9:30\sPM$/);
+            expect(formatClockTime('2026-10-05T21:30:00Z', 'Asia/Kolkata')).toMatch(/^3:00\sAM$/);
+            expect(formatClockTime('bad', 'UTC')).toBe('');
+        });
+
+        it('formats calendar days without shifting them', () => {
+            expect(formatCalendarDay(dateKeyToMs('2026-03-01'), { month: 'long', year: 'numeric' })).toBe('March 2026');
+            expect(formatCalendarDay(dateKeyToMs('2026-12-31'), { month: 'short', day: 'numeric', year: 'numeric' })).toBe('Dec 31, 2026');
+        });
+    });
+
+    describe('labels and errors', () => {
+        it('fills label placeholders and formats numbers', () => {
+            expect(formatLabel('{0}–{1} of {2}', 1, 5, 1234)).toBe('1–5 of 1,234');
+            expect(formatLabel('Viewing conversations of {0}', 'Ada Lovelace')).toBe('Viewing conversations of Ada Lovelace');
+            expect(formatLabel('{0} ({1})', 'HR Agent')).toBe('HR Agent ({1})');
+            expect(formatNumber(1234567.5)).toBe('1,234,567.5');
+        });
+
+        it('picks the plural form for the count', () => {
+            const forms = { one: '{0} match', other: '{0} matches' };
+            expect(pluralLabel(forms, 1)).toBe('1 match');
+            expect(pluralLabel(forms, 0)).toBe('0 matches');
+            expect(pluralLabel(forms, 2500)).toBe('2,500 matches');
+            expect(pluralLabel({ one: 'Last {0} day', other: 'Last {0} days' }, 30)).toBe('Last 30 days');
+        });
+
+        it('labels message senders', () => {
+            expect(isUserRole('EndUser')).toBe(true);
+            expect(isUserRole('AGENT')).toBe(false);
+            expect(getRoleLabel('USER', 'Service Agent')).toBe(LABELS.you);
+            expect(getRoleLabel('USER', 'Service Agent', 'Ada Lovelace')).toBe('Ada Lovelace');
+            expect(getRoleLabel('AGENT', 'Service Agent')).toBe('Service Agent');
+            expect(getRoleLabel('SYSTEM', null)).toBe(LABELS.defaultAgentName);
+            expect(getRoleLabel('Tool', 'Service Agent')).toBe('Tool');
+        });
+
+        it('reduces Apex and JavaScript errors to a message', () => {
+            expect(reduceErrors({ body: { message: 'Error loading: denied' } })).toBe('Error loading: denied');
+            expect(reduceErrors({ body: { pageErrors: [{ message: 'Page error' }] } })).toBe('Page error');
+            expect(reduceErrors([new Error('one'), null, { body: { message: 'two' } }])).toBe('one, two');
+            expect(reduceErrors('plain')).toBe('plain');
+            expect(reduceErrors(undefined)).toBe(LABELS.unknownError);
+        });
+    });
+
+    describe('handleListboxKeyDown', () => {
+        let listbox;
+        let options;
+
+        beforeEach(() => {
+            listbox = document.createElement('ul');
+            listbox.setAttribute('role', 'listbox');
+            options = [0, 1, 2].map(idx => {
+                const option = document.createElement('li');
+                option.setAttribute('role', 'option');
+                option.tabIndex = idx === 0 ? 0 : -1;
+                listbox.appendChild(option);
+                return option;
+            });
+            listbox.addEventListener('keydown', handleListboxKeyDown);
+            document.body.appendChild(listbox);
+        });
+
+        afterEach(() => {
+            listbox.remove();
+        });
+
+        const press = (target, key) => {
+            const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+            target.dispatchEvent(event);
+            return event;
+        };
+
+        it('moves focus and the tab stop with the arrow, Home and End keys', () => {
+            options[0].focus();
+            expect(press(options[0], 'ArrowDown').defaultPrevented).toBe(true);
+            expect(document.activeElement).toBe(options[1]);
+            expect(options.map(option => option.tabIndex)).toEqual([-1, 0, -1]);
+            press(options[1], 'End');
+            expect(document.activeElement).toBe(options[2]);
+            press(options[2], 'ArrowDown');
+            expect(document.activeElement).toBe(options[2]);
+            press(options[2], 'Home');
+            expect(document.activeElement).toBe(options[0]);
+            press(options[0], 'ArrowUp');
+            expect(options.map(option => option.tabIndex)).toEqual([0, -1, -1]);
+        });
+
+        it('activates the focused option with Enter and Space', () => {
+            const onClick = jest.fn();
+            options[1].addEventListener('click', onClick);
+            press(options[1], 'Enter');
+            press(options[1], ' ');
+            expect(onClick).toHaveBeenCalledTimes(2);
+        });
+
+        it('leaves other keys and targets alone', () => {
+            expect(press(options[0], 'a').defaultPrevented).toBe(false);
+            expect(press(listbox, 'ArrowDown').defaultPrevented).toBe(false);
+        });
+    });
+
+    describe('nextPollDelay', () => {
+        it('doubles while nothing changes, up to the maximum', () => {
+            expect(nextPollDelay(LIVE_POLL_MIN_MS, false)).toBe(LIVE_POLL_MIN_MS * 2);
+            expect(nextPollDelay(LIVE_POLL_MAX_MS, false)).toBe(LIVE_POLL_MAX_MS);
+        });
+
+        it('drops back to the minimum after a change', () => {
+            expect(nextPollDelay(LIVE_POLL_MAX_MS, true)).toBe(LIVE_POLL_MIN_MS);
+            expect(nextPollDelay(0, false)).toBe(LIVE_POLL_MIN_MS);
+        });
+    });
+
+    describe('createLivePoller', () => {
+        // Let the awaited poll() settle and the next timer be scheduled
+        const flush = async () => {
+            for (let i = 0; i < 5; i++) {
+                await Promise.resolve();
+            }
+        };
+
+        it('polls with backoff until stopped', async () => {
+            jest.useFakeTimers();
+            const poll = jest.fn().mockResolvedValueOnce(false).mockResolvedValueOnce(true).mockResolvedValue(false);
+            const poller = createLivePoller(poll);
+            poller.start();
+            jest.advanceTimersByTime(LIVE_POLL_MIN_MS);
+            await flush();
+            expect(poll).toHaveBeenCalledTimes(1);
+            // Nothing new: the next poll waits twice as long
+            jest.advanceTimersByTime(LIVE_POLL_MIN_MS);
+            await flush();
+            expect(poll).toHaveBeenCalledTimes(1);
+            jest.advanceTimersByTime(LIVE_POLL_MIN_MS);
+            await flush();
+            expect(poll).toHaveBeenCalledTimes(2);
+            // Something new: back to the minimum
+            jest.advanceTimersByTime(LIVE_POLL_MIN_MS);
+            await flush();
+            expect(poll).toHaveBeenCalledTimes(3);
+            poller.stop();
+            jest.advanceTimersByTime(LIVE_POLL_MAX_MS);
+            await flush();
+            expect(poll).toHaveBeenCalledTimes(3);
+        });
+
+        it('keeps polling after a failed poll', async () => {
+            jest.useFakeTimers();
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const poll = jest.fn().mockRejectedValueOnce(new Error('offline')).mockResolvedValue(false);
+            const poller = createLivePoller(poll);
+            poller.start();
+            jest.advanceTimersByTime(LIVE_POLL_MIN_MS);
+            await flush();
+            jest.advanceTimersByTime(LIVE_POLL_MIN_MS * 2);
+            await flush();
+            expect(poll).toHaveBeenCalledTimes(2);
+            poller.stop();
+            console.error.mockRestore();
+        });
+    });
+
+    describe('getNewMessages', () => {
+        it('returns loaded messages whose timestamps are not shown yet', () => {
+            const shown = [{ timestamp: 't1' }, { timestamp: 't2' }];
+            const loaded = [{ timestamp: 't1' }, { timestamp: 't2' }, { timestamp: 't3', text: 'New' }];
+            expect(getNewMessages(shown, loaded)).toEqual([{ timestamp: 't3', text: 'New' }]);
+            expect(getNewMessages(null, loaded)).toHaveLength(3);
+            expect(getNewMessages(shown, null)).toEqual([]);
+        });
+    });
+});
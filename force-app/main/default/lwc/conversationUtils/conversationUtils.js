@@ -0,0 +1,466 @@
+/**
+ * Date, time, number and label helpers, plus live mode polling, shared by the conversation viewer
+ * (c/agentGPT) and the Home card (c/agentSessions_Home).
+ *
+ * Text is formatted in the user's Salesforce locale, and fixed wording comes from c/conversationLabels.
+ * Calendar days are worked out in an explicit IANA timezone (normally the user's Salesforce timezone).
+ * When no timezone is passed, the browser's timezone is used. Day keys are always YYYY-MM-DD strings,
+ * whatever the display locale.
+ */
+import LOCALE from '@salesforce/i18n/locale';
+import DIR from '@salesforce/i18n/dir';
+import { LABELS } from 'c/conversationLabels';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Only used to build YYYY-MM-DD day keys; it is never shown to the user. */
+const DAY_KEY_LOCALE = 'en-CA';
+
+/** Text direction of the user's language ('ltr' or 'rtl'), set as the dir attribute of component roots. */
+export const TEXT_DIRECTION = DIR === 'rtl' ? 'rtl' : 'ltr';
+export const IS_RTL = TEXT_DIRECTION === 'rtl';
+
+/** Live mode polls this often while updates keep arriving, backing off to LIVE_POLL_MAX_MS while none do. */
+export const LIVE_POLL_MIN_MS = 15 * 1000;
+export const LIVE_POLL_MAX_MS = 2 * 60 * 1000;
+/** Data Cloud ingests sessions a few minutes late, so live polls look back this far past the previous poll. */
+export const LIVE_INGESTION_ALLOWANCE_MS = 10 * 60 * 1000;
+
+function zoneOptions(timeZone) {
+    return timeZone ? { timeZone } : {};
+}
+
+function isValidDate(date) {
+    return date instanceof Date && !isNaN(date.getTime());
+}
+
+/**
+ * Browser timezone, used when the server does not send the user's timezone.
+ *
+ * @returns {string|undefined} IANA timezone name
+ */
+export function getBrowserTimeZone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || undefined;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Parses an Apex DateTime, an ISO string, a space-separated Data Cloud timestamp or epoch milliseconds.
+ *
+ * @param {string|number|Date} value - Raw timestamp
+ * @returns {Date|null} Parsed date, or null when missing or unparseable
+ */
+export function parseDate(value) {
+    if (value == null || value === '') return null;
+    if (value instanceof Date) return isValidDate(value) ? value : null;
+    if (typeof value === 'number') {
+        const date = new Date(value);
+        return isValidDate(date) ? date : null;
+    }
+    const str = String(value).trim();
+    if (!str) return null;
+    const normalized = str.indexOf(' ') !== -1 && str.indexOf('T') === -1 ? str.replace(' ', 'T') : str;
+    const date = new Date(normalized);
+    return isValidDate(date) ? date : null;
+}
+
+/**
+ * Calendar day of an instant in a timezone.
+ *
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone (browser timezone when omitted)
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+export function getDateKey(date, timeZone) {
+    return date.toLocaleDateString(DAY_KEY_LOCALE, {
+        ...zoneOptions(timeZone),
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    });
+}
+
+/**
+ * UTC midnight of a day key, so calendar days can be compared and stepped without DST drift.
+ *
+ * @param {string} dateKey - Day key (YYYY-MM-DD)
+ * @returns {number} Epoch milliseconds
+ */
+export function dateKeyToMs(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * @param {string} dateKey - Day key (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted day key
+ */
+export function shiftDateKey(dateKey, days) {
+    return new Date(dateKeyToMs(dateKey) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Calendar day of an instant as UTC-midnight milliseconds.
+ *
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA timezone (browser timezone when omitted)
+ * @returns {number|null} Epoch milliseconds, or null for invalid dates
+ */
+export function getCalendarDayMs(date, timeZone) {
+    if (!isValidDate(date)) return null;
+    return dateKeyToMs(getDateKey(date, timeZone));
+}
+
+/**
+ * Whether two instants fall on the same calendar day in a timezone.
+ *
+ * @param {Date} date1 - First instant
+ * @param {Date} date2 - Second instant
+ * @param {string} [timeZone] - IANA timezone (browser timezone when omitted)
+ * @returns {boolean}
+ */
+export function isSameDay(date1, date2, timeZone) {
+    if (!isValidDate(date1) || !isValidDate(date2)) return false;
+    return getDateKey(date1, timeZone) === getDateKey(date2, timeZone);
+}
+
+/**
+ * Offset of a timezone from UTC at an instant.
+ *
+ * @param {number} epochMs - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+export function getZoneOffsetMs(epochMs, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(epochMs)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    const wallClockMs = Date.UTC(
+        Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+        Number(parts.hour), Number(parts.minute), Number(parts.second)
+    );
+    return wallClockMs - (epochMs - (epochMs % 1000));
+}
+
+/**
+ * Midnight at the start of a calendar day in a timezone.
+ *
+ * @param {string} dateKey - Day key (YYYY-MM-DD)
+ * @param {string} [timeZone] - IANA timezone (browser timezone when omitted)
+ * @returns {string} ISO timestamp
+ */
+export function getZonedDayStart(dateKey, timeZone) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    if (!timeZone) {
+        return new Date(year, month - 1, day).toISOString();
+    }
+    const wallClockMs = Date.UTC(year, month - 1, day);
+    // Second pass corrects the offset when a DST change falls near midnight. Where the change skips
+    // midnight itself, the second pass lands on the previous day and the day starts after the gap instead.
+    const firstPass = wallClockMs - getZoneOffsetMs(wallClockMs, timeZone);
+    const secondPass = wallClockMs - getZoneOffsetMs(firstPass, timeZone);
+    const instant = getDateKey(new Date(secondPass), timeZone) === dateKey ? secondPass : firstPass;
+    return new Date(instant).toISOString();
+}
+
+/**
+ * Today, Yesterday, or a short date in the user's locale. The year is shown only when it
+ * differs from the current year.
+ *
+ * @param {string|number|Date} value - Raw timestamp
+ * @param {string} [timeZone] - IANA timezone (browser timezone when omitted)
+ * @returns {string} Label ('' when empty, the raw value when unparseable)
+ */
+export function formatDate(value, timeZone) {
+    const date = parseDate(value);
+    if (!date) return value != null ? String(value) : '';
+    const now = new Date();
+    const dayMs = getCalendarDayMs(date, timeZone);
+    const todayMs = getCalendarDayMs(now, timeZone);
+    if (dayMs === todayMs) return LABELS.today;
+    if (dayMs === todayMs - DAY_MS) return LABELS.yesterday;
+    const showYear = new Date(dayMs).getUTCFullYear() !== new Date(todayMs).getUTCFullYear();
+    return date.toLocaleDateString(LOCALE, {
+        ...zoneOptions(timeZone),
+        month: 'short',
+        day: 'numeric',
+        year: showYear ? 'numeric' : undefined
+    });
+}
+
+/**
+ * Short date and time of day in the user's locale, e.g. "Oct 5, 2:30 PM".
+ *
+ * @param {string|number|Date} value - Raw timestamp
+ * @param {string} [timeZone] - IANA timezone (browser timezone when omitted)
+ * @returns {string} Label ('' when empty, the raw value when unparseable)
+ */
+export function formatTime(value, timeZone) {
+    const date = parseDate(value);
+    if (!date) return value != null ? String(value) : '';
+    return date.toLocaleString(LOCALE, {
+        ...zoneOptions(timeZone),
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Time of day only in the user's locale, e.g. "2:30 PM" (or "14:30").
+ *
+ * @param {string|number|Date} value - Raw timestamp
+ * @param {string} [timeZone] - IANA timezone (browser timezone when omitted)
+ * @returns {string} Label ('' when empty or unparseable)
+ */
+export function formatClockTime(value, timeZone) {
+    const date = parseDate(value);
+    if (!date) return '';
+    return date.toLocaleTimeString(LOCALE, {
+        ...zoneOptions(timeZone),
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Formats a calendar day (not an instant) in the user's locale. The day is rendered in UTC, so the
+ * timezone can never move it to a neighbouring day.
+ *
+ * @param {number} dayMs - UTC midnight of the day (see dateKeyToMs and getCalendarDayMs)
+ * @param {Object} options - Intl.DateTimeFormat date options, e.g. { month: 'long', year: 'numeric' }
+ * @returns {string} Label
+ */
+export function formatCalendarDay(dayMs, options) {
+    return new Date(dayMs).toLocaleDateString(LOCALE, { ...options, timeZone: 'UTC' });
+}
+
+/**
+ * Formats a number in the user's locale, e.g. 1,234 or 1.234.
+ *
+ * @param {number} value - Number
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string} Formatted number
+ */
+export function formatNumber(value, options) {
+    return new Intl.NumberFormat(LOCALE, options).format(value);
+}
+
+/**
+ * Fills the {0}, {1}, … placeholders of a Custom Label. Numbers are formatted in the user's locale.
+ *
+ * @param {string} label - Label text
+ * @param {...*} args - Placeholder values
+ * @returns {string} Text
+ */
+export function formatLabel(label, ...args) {
+    return (label || '').replace(/\{(\d+)\}/g, (placeholder, index) => {
+        const value = args[Number(index)];
+        if (value === undefined || value === null) return placeholder;
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
+
+/**
+ * Picks the singular or plural form of a counted label with the locale's plural rules and fills it in.
+ * The count is {0}; further placeholders start at {1}. Languages whose rules have more categories
+ * (few, many, …) or only one (Japanese) fall back to the other form.
+ *
+ * @param {{one: string, other: string}} forms - Label pair from c/conversationLabels
+ * @param {number} count - Count
+ * @param {...*} args - Values for {1}, {2}, …
+ * @returns {string} Text
+ */
+export function pluralLabel(forms, count, ...args) {
+    const category = new Intl.PluralRules(LOCALE).select(count);
+    const label = category === 'one' ? forms.one : forms.other;
+    return formatLabel(label, count, ...args);
+}
+
+/**
+ * @param {string} role - Message role from Data Cloud
+ * @returns {boolean} Whether the message was written by the person using the agent
+ */
+export function isUserRole(role) {
+    const upperRole = (role || '').toUpperCase();
+    return upperRole === 'USER' || upperRole === 'ENDUSER';
+}
+
+/**
+ * Human-readable sender of a message.
+ *
+ * @param {string} role - Message role from Data Cloud
+ * @param {string} agentName - Agent label for agent messages
+ * @param {string} [userLabel] - Label for user messages (defaults to You)
+ * @returns {string} Label
+ */
+export function getRoleLabel(role, agentName, userLabel) {
+    if (isUserRole(role)) {
+        return userLabel || LABELS.you;
+    }
+    const upperRole = (role || '').toUpperCase();
+    if (upperRole === 'AGENT' || upperRole === 'SYSTEM') {
+        return agentName || LABELS.defaultAgentName;
+    }
+    return role;
+}
+
+/**
+ * Keyboard support for a listbox of role="option" elements with a roving tabindex (only the option that
+ * should be reached with Tab has tabindex 0). Call it from the listbox's keydown handler: Up/Down, Home
+ * and End move focus between options, and Enter or Space clicks the focused option.
+ *
+ * @param {KeyboardEvent} event - keydown event from the listbox
+ * @returns {boolean} Whether the key was handled
+ */
+export function handleListboxKeyDown(event) {
+    const options = Array.from(event.currentTarget.querySelectorAll('[role="option"]'));
+    const index = options.indexOf(event.target);
+    if (index === -1) return false;
+    let next;
+    switch (event.key) {
+        case 'ArrowDown':
+            next = options[Math.min(index + 1, options.length - 1)];
+            break;
+        case 'ArrowUp':
+            next = options[Math.max(index - 1, 0)];
+            break;
+        case 'Home':
+            next = options[0];
+            break;
+        case 'End':
+            next = options[options.length - 1];
+            break;
+        case 'Enter':
+        case ' ':
+            event.preventDefault();
+            event.target.click();
+            return true;
+        default:
+            return false;
+    }
+    event.preventDefault();
+    options.forEach(option => {
+        option.tabIndex = option === next ? 0 : -1;
+    });
+    next.focus();
+    return true;
+}
+
+/**
+ * Delay before the next live poll: back to the minimum when the last poll found something (or the user
+ * asked for updates), otherwise doubled up to LIVE_POLL_MAX_MS.
+ *
+ * @param {number} currentMs - Delay before the last poll
+ * @param {boolean} changed - Whether the last poll found new sessions or messages
+ * @returns {number} Delay in milliseconds
+ */
+export function nextPollDelay(currentMs, changed) {
+    if (changed || !currentMs) return LIVE_POLL_MIN_MS;
+    return Math.min(currentMs * 2, LIVE_POLL_MAX_MS);
+}
+
+/**
+ * Repeats poll() with backoff (see nextPollDelay) until stopped. A failed poll counts as "nothing new".
+ * Polls are skipped while the browser tab is hidden.
+ *
+ * @param {Function} poll - Async function resolving to true when new sessions or messages arrived
+ * @returns {{ start: Function, stop: Function }} Poller; start() restarts at the minimum delay
+ */
+export function createLivePoller(poll) {
+    let timer = null;
+    let delay = LIVE_POLL_MIN_MS;
+    let running = false;
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(tick, delay);
+    }
+
+    async function tick() {
+        if (!running) return;
+        if (document.hidden) {
+            schedule();
+            return;
+        }
+        let changed = false;
+        try {
+            changed = await poll();
+        } catch (error) {
+            console.error('Error polling for live updates:', error);
+        }
+        if (!running) return;
+        delay = nextPollDelay(delay, changed);
+        schedule();
+    }
+
+    return {
+        start() {
+            running = true;
+            delay = LIVE_POLL_MIN_MS;
+            schedule();
+        },
+        stop() {
+            running = false;
+            clearTimeout(timer);
+            timer = null;
+        }
+    };
+}
+
+/**
+ * Messages of a freshly loaded session that are not shown yet, matched by timestamp.
+ *
+ * @param {Array} shown - Messages already displayed
+ * @param {Array} loaded - All messages of the session as just loaded
+ * @returns {Array} New messages, in the loaded order
+ */
+export function getNewMessages(shown, loaded) {
+    const known = new Set((shown || []).map(msg => msg.timestamp));
+    return (loaded || []).filter(msg => !known.has(msg.timestamp));
+}
+
+/**
+ * Reduces Apex, wire and JavaScript errors to a single message.
+ *
+ * @param {*} errors - Error, error array, or string
+ * @returns {string} Message
+ */
+export function reduceErrors(errors) {
+    if (!errors) {
+        return LABELS.unknownError;
+    }
+    if (Array.isArray(errors)) {
+        return errors
+            .filter(error => !!error)
+            .map(error => error.message || error.statusText || error.body?.message || LABELS.unknownError)
+            .join(', ');
+    }
+    if (typeof errors === 'string') {
+        return errors;
+    }
+    if (errors.body) {
+        if (errors.body.message) {
+            return errors.body.message;
+        }
+        if (errors.body.pageErrors && errors.body.pageErrors.length) {
+            return errors.body.pageErrors[0].message;
+        }
+    }
+    return errors.message || errors.statusText || LABELS.unknownError;
+}
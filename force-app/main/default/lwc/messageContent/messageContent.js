@@ -0,0 +1,61 @@
+import { LightningElement, api } from 'lwc';
+import { splitMessageContent, renderSegmentHtml, highlightHtml, countHtmlMatches } from 'c/messageFormatter';
+
+/**
+ * Renders one message bubble body: rich text via lightning-formatted-rich-text and
+ * fenced code blocks, including those in list items and blockquotes, via c-code-block
+ * (language label, highlighting, copy button).
+ */
+export default class MessageContent extends LightningElement {
+    _text = '';
+    _highlight = '';
+    _activeMatch = -1;
+    segments = [];
+
+    @api
+    get text() {
+        return this._text;
+    }
+
+    set text(value) {
+        this._text = value || '';
+        this.buildSegments();
+    }
+
+    /** Search term to mark in the rich-text segments and code blocks (optional). */
+    @api
+    get highlight() {
+        return this._highlight;
+    }
+
+    set highlight(value) {
+        this._highlight = value || '';
+        this.buildSegments();
+    }
+
+    /** Zero-based match within this message to mark as current (find bar); -1 for none. */
+    @api
+    get activeMatch() {
+        return this._activeMatch;
+    }
+
+    set activeMatch(value) {
+        this._activeMatch = Number.isInteger(value) ? value : -1;
+        this.buildSegments();
+    }
+
+    buildSegments() {
+        const term = this._highlight;
+        // Matches are numbered across all segments (see countMessageMatches); c-code-block marks its own
+        let offset = 0;
+        this.segments = splitMessageContent(this._text).map(parsed => {
+            // Code blocks from inside a list item or blockquote are indented like their container
+            const segment = { ...parsed, className: parsed.nested ? 'segment segment-nested' : 'segment' };
+            if (!term) return segment;
+            const activeMatch = this._activeMatch - offset;
+            offset += countHtmlMatches(renderSegmentHtml(segment), term);
+            if (segment.isCode) return { ...segment, activeMatch };
+            return { ...segment, html: highlightHtml(segment.html, term, activeMatch) };
+        });
+    }
+}
@@ -0,0 +1,136 @@
+import { LightningElement, api } from 'lwc';
+import saveMessageFeedback from '@salesforce/apex/AgentGPTController.saveMessageFeedback';
+import { LABELS } from 'c/conversationLabels';
+
+const HELPFUL = 'Helpful';
+const NOT_HELPFUL = 'Not Helpful';
+
+/**
+ * Helpful / not helpful controls with an optional comment under an agent reply. Saves through Apex and
+ * fires "feedbackchange" ({ messageTimestamp, rating, comment }) so the parent can keep its copy in sync.
+ */
+export default class MessageFeedback extends LightningElement {
+    @api sessionId;
+    @api messageTimestamp;
+    label = LABELS;
+    isCommentOpen = false;
+    isSaving = false;
+    draftComment = '';
+    error = '';
+    _rating = '';
+    _comment = '';
+
+    /** Saved rating ('Helpful', 'Not Helpful' or blank). */
+    @api
+    get rating() {
+        return this._rating;
+    }
+
+    set rating(value) {
+        this._rating = value || '';
+    }
+
+    /** Saved comment. */
+    @api
+    get comment() {
+        return this._comment;
+    }
+
+    set comment(value) {
+        this._comment = value || '';
+    }
+
+    get isHelpful() {
+        return this._rating === HELPFUL;
+    }
+
+    get isNotHelpful() {
+        return this._rating === NOT_HELPFUL;
+    }
+
+    get helpfulClass() {
+        return this.isHelpful ? 'feedback-button selected' : 'feedback-button';
+    }
+
+    get notHelpfulClass() {
+        return this.isNotHelpful ? 'feedback-button selected' : 'feedback-button';
+    }
+
+    get helpfulPressed() {
+        return String(this.isHelpful);
+    }
+
+    get notHelpfulPressed() {
+        return String(this.isNotHelpful);
+    }
+
+    get showCommentLink() {
+        return !!this._rating && !this.isCommentOpen;
+    }
+
+    get commentLinkLabel() {
+        return this._comment ? LABELS.editComment : LABELS.addComment;
+    }
+
+    handleHelpful() {
+        this.rate(HELPFUL);
+    }
+
+    handleNotHelpful() {
+        this.rate(NOT_HELPFUL);
+    }
+
+    /**
+     * Clicking the selected rating again clears it; "not helpful" opens the comment box right away
+     */
+    rate(rating) {
+        const next = this._rating === rating ? '' : rating;
+        this.isCommentOpen = next === NOT_HELPFUL && !this._comment;
+        this.draftComment = this._comment;
+        this.save(next, next ? this._comment : '');
+    }
+
+    handleOpenComment() {
+        this.draftComment = this._comment;
+        this.isCommentOpen = true;
+    }
+
+    handleCommentChange(event) {
+        this.draftComment = event.target.value || '';
+    }
+
+    handleCancelComment() {
+        this.isCommentOpen = false;
+    }
+
+    handleSaveComment() {
+        this.isCommentOpen = false;
+        this.save(this._rating, this.draftComment.trim());
+    }
+
+    async save(rating, comment) {
+        const previous = { rating: this._rating, comment: this._comment };
+        this._rating = rating;
+        this._comment = comment;
+        this.isSaving = true;
+        this.error = '';
+        try {
+            await saveMessageFeedback({
+                sessionId: this.sessionId,
+                messageTimestamp: this.messageTimestamp,
+                rating,
+                comment
+            });
+            this.dispatchEvent(new CustomEvent('feedbackchange', {
+                detail: { messageTimestamp: this.messageTimestamp, rating, comment }
+            }));
+        } catch (error) {
+            console.error('Error saving feedback:', error);
+            this._rating = previous.rating;
+            this._comment = previous.comment;
+            this.error = (error && error.body && error.body.message) || LABELS.errorSavingFeedback;
+        } finally {
+            this.isSaving = false;
+        }
+    }
+}
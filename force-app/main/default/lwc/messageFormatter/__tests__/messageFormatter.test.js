@@ -0,0 +1,149 @@
+import {
+    countMessageMatches,
+    highlightHtml,
+    renderMessageContent,
+    renderSegmentHtml,
+    splitMessageContent
+} from 'c/messageFormatter';
+
+const REPLY = [
+    'Run this query for the account:',
+    '',
+    '```soql',
+    "SELECT Id, Name FROM Account WHERE Name = 'Acme'",
+    '```',
+    '',
+    'Then check the Account owner.'
+].join('\n');
+
+describe('c-message-formatter', () => {
+    describe('renderMessageContent', () => {
+        it('renders pipe tables with column alignment and escaped pipes in code', () => {
+            const html = renderMessageContent('| Name | Count |\n| :--- | ---: |\n| Acme | 3 |\n| `a|b` | 4 |');
+
+            expect(html).toBe(
+                '<table><thead><tr><th style="text-align: left">Name</th><th style="text-align: right">Count</th></tr></thead>' +
+                    '<tbody><tr><td style="text-align: left">Acme</td><td style="text-align: right">3</td></tr>' +
+                    '<tr><td style="text-align: left"><code>a|b</code></td><td style="text-align: right">4</td></tr></tbody></table>'
+            );
+        });
+
+        it('renders nested and mixed lists', () => {
+            expect(renderMessageContent('- one\n  - nested\n    1. deep\n- two\n1. first\n2. second')).toBe(
+                '<ul><li>one<ul><li>nested<ol><li>deep</li></ol></li></ul></li><li>two</li></ul>' +
+                    '<ol><li>first</li><li>second</li></ol>'
+            );
+            expect(renderMessageContent('3. three\n4. four')).toBe('<ol start="3"><li>three</li><li>four</li></ol>');
+            expect(renderMessageContent('- [ ] todo\n- [x] done')).toBe('<ul><li>☐ todo</li><li>☑ done</li></ul>');
+        });
+
+        it('renders blockquotes with their own block content', () => {
+            expect(renderMessageContent('> quoted **bold**\n> second line\n\nafter')).toBe(
+                '<blockquote><p>quoted <strong>bold</strong><br>second line</p></blockquote><p>after</p>'
+            );
+        });
+
+        it('renders strikethrough, bold and italic', () => {
+            expect(renderMessageContent('~~gone~~ and **strong** and *em*')).toBe(
+                '<p><del>gone</del> and <strong>strong</strong> and <em>em</em></p>'
+            );
+        });
+
+        it('keeps inline code and escapes in link labels', () => {
+            expect(renderMessageContent('[`code`](https://x.com)')).toBe(
+                '<p><a href="https://x.com" target="_blank"><code>code</code></a></p>'
+            );
+            expect(renderMessageContent('[a \\* b](https://x.com)')).toBe('<p><a href="https://x.com" target="_blank">a * b</a></p>');
+        });
+
+        it('links autolinks and bare URLs but renders unsafe URLs as text', () => {
+            expect(renderMessageContent('<https://x.com> and https://y.com/path.')).toBe(
+                '<p><a href="https://x.com" target="_blank">https://x.com</a> and ' +
+                    '<a href="https://y.com/path" target="_blank">https://y.com/path</a>.</p>'
+            );
+            expect(renderMessageContent('[click](javascript:alert(1))')).toBe('<p>[click](javascript:alert(1))</p>');
+        });
+
+        it('escapes < and & in text', () => {
+            expect(renderMessageContent('a < b && c > d')).toBe('<p>a &lt; b &amp;&amp; c &gt; d</p>');
+        });
+    });
+
+    describe('splitMessageContent', () => {
+        it('splits a fence inside a list item into a nested code block and keeps the numbering', () => {
+            const steps = [
+                '1. Open the Developer Console.',
+                '2. Run:',
+                '   ```sql',
+                '   SELECT Id',
+                '   FROM Account',
+                '   ```',
+                '3. Check the results.'
+            ].join('\n');
+
+            expect(splitMessageContent(steps)).toEqual([
+                { key: 'seg-0', isCode: false, html: '<ol><li>Open the Developer Console.</li><li>Run:</li></ol>' },
+                { key: 'seg-1', isCode: true, code: 'SELECT Id\nFROM Account', language: 'sql', nested: true },
+                { key: 'seg-2', isCode: false, html: '<ol start="3"><li>Check the results.</li></ol>' }
+            ]);
+        });
+
+        it('splits a fence inside a blockquote into a nested code block', () => {
+            const segments = splitMessageContent('> Note:\n> ```apex\n> System.debug(1);\n> ```\n> end');
+
+            expect(segments.map(s => s.isCode)).toEqual([false, true, false]);
+            expect(segments[1]).toMatchObject({ code: 'System.debug(1);', language: 'apex', nested: true });
+        });
+
+        it('leaves a fence in an indented code block outside a list as code text', () => {
+            expect(splitMessageContent('    ```\n    indented code\n    ```')).toEqual([
+                { key: 'seg-0', isCode: false, html: '<pre><code>```\nindented code\n```</code></pre>' }
+            ]);
+        });
+    });
+
+    describe('find', () => {
+        it('counts matches inside fenced code blocks', () => {
+            expect(countMessageMatches(REPLY, 'account')).toBe(3);
+            expect(countMessageMatches(REPLY, 'acme')).toBe(1);
+        });
+
+        it('numbers code block matches after the text before them', () => {
+            const [intro, code] = splitMessageContent(REPLY);
+            const introCount = countMessageMatches('Run this query for the account:', 'account');
+            const marked = highlightHtml(renderSegmentHtml(code), 'account', 1 - introCount);
+
+            expect(intro.isCode).toBe(false);
+            expect(code.isCode).toBe(true);
+            expect(marked.match(/<mark/g)).toHaveLength(1);
+            expect(marked).toContain('outline');
+            expect(marked).toContain('tok-keyword');
+        });
+
+        it('finds a term that crosses syntax-highlighting tokens', () => {
+            const reply = 'foo\n```sql\nSELECT Id FROM X\n```\nfoo';
+            const code = splitMessageContent(reply)[1];
+            const marked = highlightHtml(renderSegmentHtml(code), 'select id', 0);
+
+            const markedText = [...marked.matchAll(/<mark[^>]*>([^<]*)<\/mark>/g)].map(m => m[1]).join('');
+
+            expect(countMessageMatches(reply, 'select id')).toBe(1);
+            expect(marked).toContain('<span class="tok-keyword"><mark');
+            expect(markedText).toBe('SELECT Id');
+        });
+
+        it('finds a term that crosses formatting tags and marks each piece', () => {
+            expect(countMessageMatches('a **bold** phrase here', 'bold phrase')).toBe(1);
+            expect(highlightHtml('<p>a <strong>bold</strong> phrase</p>', 'bold ph')).toBe(
+                '<p>a <strong><mark style="background-color: #facc15; color: #101822; border-radius: 2px; padding: 0 1px;">bold</mark></strong>' +
+                    '<mark style="background-color: #facc15; color: #101822; border-radius: 2px; padding: 0 1px;"> ph</mark>rase</p>'
+            );
+        });
+
+        it('matches decoded entities but not across block boundaries', () => {
+            expect(countMessageMatches('Tom & Jerry', '& jerry')).toBe(1);
+            expect(countMessageMatches('Tom & Jerry', 'amp')).toBe(0);
+            expect(countMessageMatches('end\n\nstart', 'endstart')).toBe(0);
+        });
+    });
+});
@@ -3,10 +3,12 @@
  * lightning-formatted-rich-text (which sanitizes the output before rendering).
  *
  * Detection heuristic: if the string contains common HTML closing/void tags,
- * treat it as HTML and pass through unchanged. Otherwise run the lightweight
- * markdown-to-HTML converter below.
+ * treat it as HTML and pass through unchanged. Otherwise run the
+ * GitHub-flavored markdown-to-HTML converter below.
  */
 
+import { highlight } from 'c/syntaxHighlighter';
+
 const HTML_PATTERN = /<\/?(p|br|strong|b|em|i|ul|ol|li|h[1-6]|a|div|span|blockquote|pre|code|table)[\s\/>]/i;
 
 /**
@@ -22,102 +24,698 @@ export function renderMessageContent(text) {
     return markdownToHtml(text);
 }
 
+/**
+ * Like renderMessageContent, but never passes HTML through: HTML messages are reduced to their text, and
+ * all text is escaped by the markdown converter. For output no sanitizer sees, such as exported files.
+ *
+ * @param {string} text - Raw message text (HTML, Markdown, or plain text)
+ * @returns {string} HTML string
+ */
+export function renderEscapedContent(text) {
+    if (!text) return '';
+    return markdownToHtml(HTML_PATTERN.test(text) ? htmlToText(text) : text);
+}
+
+/**
+ * Splits raw message text into renderable segments so fenced code blocks can be shown by c/codeBlock
+ * (highlighting + copy) while everything else goes through renderMessageContent. Fences inside list items
+ * or blockquotes are split out too and flagged as nested; the text around them becomes separate segments
+ * (ordered lists keep their numbering, as markdownToHtml starts a list at its first item's number).
+ * HTML messages are returned as a single rich-text segment.
+ *
+ * @param {string} text - Raw message text (HTML, Markdown, or plain text)
+ * @returns {Array<{key: string, isCode: boolean, html?: string, code?: string, language?: string, nested?: boolean}>}
+ */
+export function splitMessageContent(text) {
+    if (!text) return [];
+    if (HTML_PATTERN.test(text)) {
+        return [{ key: 'seg-0', isCode: false, html: text }];
+    }
+
+    const segments = [];
+    const pushText = lines => {
+        const html = lines.length ? markdownToHtml(lines.join('\n')) : '';
+        if (html) segments.push({ key: `seg-${segments.length}`, isCode: false, html });
+    };
+
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let pending = [];
+    // Whether the last fence was in a list item, so a fence right after it can continue the same item
+    let afterListFence = false;
+    let i = 0;
+    while (i < lines.length) {
+        const open = CONTAINED_FENCE_RE.exec(lines[i]);
+        const quoteDepth = open ? (open[1].match(/>/g) || []).length : 0;
+        const indent = open ? indentWidth(open[2]) : 0;
+        const inList = open && indent > 0 && isInsideListItem(pending, quoteDepth, afterListFence);
+        // Outside a list, a fence may be indented up to three spaces; more makes it an indented code block
+        if (!open || (indent > 3 && !inList)) {
+            pending.push(lines[i]);
+            i++;
+            continue;
+        }
+        const fence = open[3];
+        const code = [];
+        let j = i + 1;
+        let closed = false;
+        while (j < lines.length) {
+            const content = stripContainer(lines[j], quoteDepth, indent, inList);
+            // The blockquote or list item ended, and the unclosed fence with it
+            if (content === null) break;
+            const close = FENCE_RE.exec(content);
+            if (close && close[2][0] === fence[0] && close[2].length >= fence.length && !close[3]) {
+                closed = true;
+                break;
+            }
+            code.push(content);
+            j++;
+        }
+        pushText(pending);
+        pending = [];
+        segments.push({
+            key: `seg-${segments.length}`,
+            isCode: true,
+            code: code.join('\n'),
+            language: open[4] || '',
+            nested: quoteDepth > 0 || inList
+        });
+        afterListFence = inList;
+        // An unclosed fence runs to the end of its container, as in GFM
+        i = closed ? j + 1 : j;
+    }
+    pushText(pending);
+    return segments;
+}
+
+/**
+ * Whether a fence following these lines continues a list item: walking back over blank and indented
+ * lines (inside the same number of blockquote levels) reaches a list marker, or the start of the lines
+ * when they follow a fence in a list item.
+ */
+function isInsideListItem(lines, quoteDepth, afterListFence) {
+    for (let k = lines.length - 1; k >= 0; k--) {
+        const line = stripQuotes(lines[k], quoteDepth);
+        if (line === null) return false;
+        if (LIST_RE.test(line)) return true;
+        if (line.trim() !== '' && !/^\s/.test(line)) return false;
+    }
+    return afterListFence;
+}
+
+function stripQuotes(line, depth) {
+    let rest = line;
+    for (let d = 0; d < depth; d++) {
+        const m = /^ {0,3}> ?/.exec(rest);
+        if (!m) return null;
+        rest = rest.substring(m[0].length);
+    }
+    return rest;
+}
+
+/**
+ * A line inside a nested fence with its blockquote markers and indentation removed,
+ * or null when the line no longer belongs to the fence's container.
+ */
+function stripContainer(line, quoteDepth, indent, inList) {
+    const rest = stripQuotes(line, quoteDepth);
+    if (rest === null) return null;
+    if (rest.trim() === '') return '';
+    if (inList && indentWidth(rest.match(/^\s*/)[0]) < indent) return null;
+    return stripIndent(rest, indent);
+}
+
+const MARK_STYLE = 'background-color: #facc15; color: #101822; border-radius: 2px; padding: 0 1px;';
+// The current find-bar match stands out from the other hits
+const ACTIVE_MARK_STYLE = 'background-color: #fb923c; color: #101822; border-radius: 2px; padding: 0 1px; outline: 2px solid #fb923c;';
+
+/**
+ * Wraps every case-insensitive occurrence of term in the text content of an HTML string with <mark>,
+ * leaving tags, attributes and character entities untouched. A match may cross inline tags (bold text,
+ * syntax-highlighting tokens); it is then marked piece by piece in each text node it covers.
+ *
+ * @param {string} html - HTML from renderMessageContent / splitMessageContent
+ * @param {string} term - Plain-text search term
+ * @param {number} [activeIndex=-1] - Zero-based occurrence to mark as the current match
+ * @returns {string} HTML string
+ */
+export function highlightHtml(html, term, activeIndex = -1) {
+    if (!html || !term) return html || '';
+    const { parts, chars, hits } = findTextMatches(html, term);
+    if (!hits.length) return html;
+
+    // Per text part, the [from, to) source slices to mark and the match each belongs to
+    const pieces = parts.map(() => []);
+    hits.forEach(([start, end], hitIndex) => {
+        for (let c = start; c < end; c++) {
+            const { part, from, to } = chars[c];
+            const last = pieces[part][pieces[part].length - 1];
+            // Characters of one entity share a slice; consecutive characters extend the current piece
+            if (last && last.hitIndex === hitIndex && from <= last.to) {
+                last.to = Math.max(last.to, to);
+            } else {
+                pieces[part].push({ from, to, hitIndex });
+            }
+        }
+    });
+
+    return parts
+        .map((part, p) => {
+            if (!pieces[p].length) return part;
+            let out = '';
+            let pos = 0;
+            pieces[p].forEach(({ from, to, hitIndex }) => {
+                const style = hitIndex === activeIndex ? ACTIVE_MARK_STYLE : MARK_STYLE;
+                out += `${part.substring(pos, from)}<mark style="${style}">${part.substring(from, to)}</mark>`;
+                pos = to;
+            });
+            return out + part.substring(pos);
+        })
+        .join('');
+}
+
+/**
+ * Counts the occurrences highlightHtml would mark in an HTML string.
+ *
+ * @param {string} html - HTML from renderMessageContent / splitMessageContent
+ * @param {string} term - Plain-text search term
+ * @returns {number} Number of matches
+ */
+export function countHtmlMatches(html, term) {
+    if (!html || !term) return 0;
+    return findTextMatches(html, term).hits.length;
+}
+
+/**
+ * Counts matches in all segments of a message, in the order c/messageContent marks them. Fenced code blocks
+ * are counted in the highlighted HTML c/codeBlock renders (see renderSegmentHtml).
+ *
+ * @param {string} text - Raw message text (HTML, Markdown, or plain text)
+ * @param {string} term - Plain-text search term
+ * @returns {number} Number of matches
+ */
+export function countMessageMatches(text, term) {
+    if (!text || !term) return 0;
+    return splitMessageContent(text)
+        .reduce((total, segment) => total + countHtmlMatches(renderSegmentHtml(segment), term), 0);
+}
+
+/**
+ * HTML a segment from splitMessageContent is shown as: its rich text, or for a fenced code block the
+ * syntax-highlighted code.
+ *
+ * @param {{isCode: boolean, html?: string, code?: string, language?: string}} segment - Segment
+ * @returns {string} HTML string
+ */
+export function renderSegmentHtml(segment) {
+    return segment.isCode ? highlight(segment.code, segment.language) : segment.html;
+}
+
+const TAG_SPLIT = /(<[^>]*>)/;
+// Tags that start or end a line of text; a match never runs across them
+const BLOCK_TAG = /^<\/?(p|br|div|li|ul|ol|h[1-6]|blockquote|pre|table|thead|tbody|tr|th|td|hr)\b/i;
+const ENTITY = /&(#\d+|#x[\da-f]+|\w+);/iy;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+/**
+ * Searches the text of an HTML string as the reader sees it: entities decoded and inline tags ignored, with
+ * block tags as line breaks. Returns the HTML split into tags and text parts, the source slice of each text
+ * character ({part, from, to}; null for a line break from a block tag) and the hits as [start, end) ranges.
+ */
+function findTextMatches(html, term) {
+    const parts = html.split(TAG_SPLIT);
+    const chars = [];
+    let text = '';
+    parts.forEach((part, p) => {
+        if (part.startsWith('<')) {
+            if (BLOCK_TAG.test(part)) {
+                text += '\n';
+                chars.push(null);
+            }
+            return;
+        }
+        let k = 0;
+        while (k < part.length) {
+            let decoded = part[k];
+            let length = 1;
+            if (decoded === '&') {
+                ENTITY.lastIndex = k;
+                const entity = ENTITY.exec(part);
+                if (entity) {
+                    decoded = decodeEntity(entity[1]);
+                    length = entity[0].length;
+                }
+            }
+            for (let u = 0; u < decoded.length; u++) {
+                chars.push({ part: p, from: k, to: k + length });
+            }
+            text += decoded;
+            k += length;
+        }
+    });
+
+    const hits = [];
+    const matcher = new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    let m;
+    while ((m = matcher.exec(text)) !== null) {
+        const end = m.index + m[0].length;
+        if (!chars.slice(m.index, end).includes(null)) hits.push([m.index, end]);
+    }
+    return { parts, chars, hits };
+}
+
+// Unknown named entities stay one character that no search term matches
+function decodeEntity(name) {
+    if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '\ufffd';
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] || '\ufffd';
+}
+
+// ---------------------------------------------------------------------------
+// Escaping helpers
+// ---------------------------------------------------------------------------
+
+function escapeHtml(str) {
+    return str
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(str) {
+    return escapeHtml(str).replace(/"/g, '&quot;');
+}
+
+const SCRIPT_OR_STYLE = /<(script|style)\b[\s\S]*?<\/\1\s*>/gi;
+const BLOCK_END = /<(br|\/(p|div|li|h[1-6]|blockquote|pre|tr))\b[^>]*>/gi;
+const ANY_TAG = /<[^>]*>/g;
+
+/**
+ * Plain text of an HTML message: line breaks at block ends, tags dropped, common entities decoded.
+ * The result is still untrusted text and must be escaped before use as HTML.
+ */
+function htmlToText(html) {
+    return html
+        .replace(SCRIPT_OR_STYLE, '')
+        .replace(BLOCK_END, '\n')
+        .replace(ANY_TAG, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+// Only http(s), mailto and relative links survive; anything else (javascript:, data:) renders as text
+const SAFE_URL = /^(https?:\/\/|mailto:|\/|#)/i;
+
 // ---------------------------------------------------------------------------
 // Inline formatting helpers
+// Supports: `code`, [text](url), <autolinks>, bare URLs, **bold**, __bold__,
+//           *italic*, _italic_, ~~strikethrough~~, backslash escapes
 // ---------------------------------------------------------------------------
 
-function inlineFormat(str) {
-    // Bold: **text**
-    str = str.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-    // Italic: *text* (single asterisk, after bold is already processed)
-    str = str.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-    // Inline code: `code`
-    str = str.replace(/`([^`]+)`/g, '<code>$1</code>');
+const PLACEHOLDER = '\u0000';
+const ESCAPABLE = /\\([\\`*_{}[\]()#+\-.!~|<>&])/g;
+const CODE_SPAN = /(`+)([\s\S]+?)\1/g;
+const LINK = /!?\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"]*)")?\s*\)/g;
+const AUTOLINK = /<((?:https?:\/\/|mailto:)[^\s>]+)>/g;
+const BARE_URL = /(^|[\s(])(https?:\/\/[^\s<]+[^\s<.,:;"')\]])/g;
+
+function inlineFormat(str, stash = []) {
+    // Pull out code spans, escapes and links first so their contents are not formatted.
+    // Link labels are formatted with the same stash, so placeholders already taken from them still resolve.
+    const hold = html => {
+        stash.push(html);
+        return `${PLACEHOLDER}${stash.length - 1}${PLACEHOLDER}`;
+    };
+
+    str = str.replace(CODE_SPAN, (m, ticks, code) => hold(`<code>${escapeHtml(code.trim())}</code>`));
+    str = str.replace(ESCAPABLE, (m, ch) => hold(escapeHtml(ch)));
+    str = str.replace(LINK, (m, label, url, title) => {
+        if (!SAFE_URL.test(url)) return hold(escapeHtml(m));
+        const titleAttr = title ? ` title="${escapeAttribute(title)}"` : '';
+        return hold(`<a href="${escapeAttribute(url)}"${titleAttr} target="_blank">${inlineFormat(label || url, stash)}</a>`);
+    });
+    str = str.replace(AUTOLINK, (m, url) => hold(`<a href="${escapeAttribute(url)}" target="_blank">${escapeHtml(url)}</a>`));
+    str = str.replace(BARE_URL, (m, lead, url) => lead + hold(`<a href="${escapeAttribute(url)}" target="_blank">${escapeHtml(url)}</a>`));
+
+    // Literal < and & in the remaining text must not be read as markup
+    str = escapeHtml(str);
+
+    // Bold: **text** or __text__
+    str = str.replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>');
+    str = str.replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>');
+    // Italic: *text* or _text_ (after bold is already processed)
+    str = str.replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>');
+    str = str.replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+    // Strikethrough: ~~text~~
+    str = str.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    const restore = new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g');
+    // Stashed fragments can nest (link labels), so restore until none are left
+    while (restore.test(str)) {
+        str = str.replace(restore, (m, idx) => stash[Number(idx)]);
+    }
     return str;
 }
 
 // ---------------------------------------------------------------------------
-// Markdown-to-HTML converter
-// Supports: paragraphs, blank-line breaks, # headers, - /* unordered lists,
-//           1. ordered lists, **bold**, *italic*, `inline code`
+// Markdown-to-HTML converter (GitHub-flavored)
+// Supports: paragraphs, # headers, --- thematic breaks, fenced and
+//           indented code blocks, > blockquotes, pipe tables with alignment,
+//           nested and mixed - / * / + and 1. lists, task list items,
+//           plus everything inlineFormat handles
 // ---------------------------------------------------------------------------
 
-const UL_RE = /^[ \t]*[-*+]\s+(.+)/;
-const OL_RE = /^[ \t]*\d+[.)]\s+(.+)/;
-const H_RE  = /^(#{1,6})\s+(.+)/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const H_RE = /^\s{0,3}(#{1,6})\s+(.+?)\s*#*\s*$/;
+const HR_RE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const FENCE_RE = /^(\s{0,3})(`{3,}|~{3,})\s*([\w+#.-]*)[^`]*$/;
+// A fence opener inside any number of blockquotes and/or indented under a list item
+const CONTAINED_FENCE_RE = /^((?: {0,3}> ?)*)([ \t]*)(`{3,}|~{3,})\s*([\w+#.-]*)[^`]*$/;
+const QUOTE_RE = /^\s{0,3}>\s?(.*)$/;
+const TABLE_DIVIDER_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const TASK_RE = /^\[([ xX])\]\s+(.*)$/;
+const INDENTED_CODE_RE = /^(?: {4}|\t)(.*)$/;
 // Inline " N. " or " N) " (N ≥ 2) after sentence end — break into new line so one <ol> gets correct numbering
 const INLINE_OL_BREAK = /\.\s+(\d+)[.)]\s+/g;
+const INLINE_OL_SPLIT = /\s+(\d+)[.)]\s+/g;
 
 function markdownToHtml(text) {
-    // Normalize: "... compliance. 2. **Up-Sell:**" → "... compliance.\n2. **Up-Sell:**" so list stays one <ol>
-    text = text.replace(INLINE_OL_BREAK, '.\n$1. ');
-    const lines = text.split('\n');
+    return renderBlocks(normalizeLines(text.replace(/\r\n?/g, '\n').split('\n')));
+}
+
+/**
+ * Applies the inline-numbered-list normalization to lines outside fenced code,
+ * e.g. "... compliance. 2. **Up-Sell:**" → "... compliance.\n2. **Up-Sell:**" so list stays one <ol>.
+ */
+function normalizeLines(lines) {
+    const out = [];
+    let fence = null;
+    lines.forEach(line => {
+        const fenceMatch = FENCE_RE.exec(line);
+        if (fence) {
+            if (fenceMatch && fenceMatch[2][0] === fence[0] && fenceMatch[2].length >= fence.length && !fenceMatch[3]) {
+                fence = null;
+            }
+            out.push(line);
+            return;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[2];
+            out.push(line);
+            return;
+        }
+        const olMatch = /^(\s*)\d+[.)]\s+/.exec(line);
+        if (olMatch) {
+            // Inline "1. A 2. B 3. C" on one line → one item per line at the same indent
+            out.push(...line.replace(INLINE_OL_SPLIT, `\n${olMatch[1]}$1. `).split('\n'));
+        } else if (!/^\s*([-*+]\s|>|\|)/.test(line)) {
+            out.push(...line.replace(INLINE_OL_BREAK, '.\n$1. ').split('\n'));
+        } else {
+            out.push(line);
+        }
+    });
+    return out;
+}
+
+function renderBlocks(lines) {
     const out = [];
-    let listType = null;
-    const listItems = [];
+    let paragraph = [];
 
-    const flushList = () => {
-        if (listItems.length) {
-            out.push(`<${listType}>${listItems.join('')}</${listType}>`);
-            listItems.length = 0;
-            listType = null;
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            out.push(`<p>${paragraph.map(l => inlineFormat(l.trim())).join('<br>')}</p>`);
+            paragraph = [];
         }
     };
 
-    for (let i = 0; i < lines.length; i++) {
+    let i = 0;
+    while (i < lines.length) {
         const line = lines[i];
 
-        // Unordered list
-        const ulMatch = UL_RE.exec(line);
-        if (ulMatch) {
-            if (listType === 'ol') flushList();
-            listType = 'ul';
-            listItems.push(`<li>${inlineFormat(ulMatch[1])}</li>`);
+        // Blank line — paragraph break
+        if (line.trim() === '') {
+            flushParagraph();
+            i++;
             continue;
         }
 
-        // Ordered list (including inline "1. A 2. B 3. C" on one line)
-        const olMatch = OL_RE.exec(line);
-        if (olMatch) {
-            if (listType === 'ul') flushList();
-            listType = 'ol';
-            const content = olMatch[1];
-            const inlineParts = content.split(/\s+(\d+)[.)]\s+/);
-            if (inlineParts.length > 1) {
-                // "First 2. Second 3. Third" → ["First", "2", "Second", "3", "Third"]; items at 0,2,4...
-                for (let j = 0; j < inlineParts.length; j += 2) {
-                    const itemText = inlineParts[j].trim();
-                    if (itemText) listItems.push(`<li>${inlineFormat(itemText)}</li>`);
+        // Fenced code block
+        const fenceMatch = FENCE_RE.exec(line);
+        if (fenceMatch) {
+            flushParagraph();
+            const [, indent, fence, lang] = fenceMatch;
+            const code = [];
+            i++;
+            while (i < lines.length) {
+                const close = FENCE_RE.exec(lines[i]);
+                if (close && close[2][0] === fence[0] && close[2].length >= fence.length && !close[3]) {
+                    i++;
+                    break;
                 }
-            } else {
-                listItems.push(`<li>${inlineFormat(content)}</li>`);
+                code.push(stripIndent(lines[i], indent.length));
+                i++;
             }
+            out.push(renderCodeBlock(code.join('\n'), lang));
             continue;
         }
 
-        // Blank line — skip when inside a list so numbering stays 1,2,3; otherwise paragraph break
-        if (line.trim() === '') {
-            if (listType !== null) continue;
-            flushList();
-            out.push('<br>');
+        // Indented code block (only where it cannot be a paragraph continuation)
+        if (!paragraph.length && INDENTED_CODE_RE.test(line) && !LIST_RE.test(line)) {
+            const code = [];
+            while (i < lines.length && (INDENTED_CODE_RE.test(lines[i]) || lines[i].trim() === '')) {
+                const m = INDENTED_CODE_RE.exec(lines[i]);
+                code.push(m ? m[1] : '');
+                i++;
+            }
+            while (code.length && code[code.length - 1] === '') code.pop();
+            out.push(renderCodeBlock(code.join('\n'), ''));
             continue;
         }
 
-        flushList();
+        // Thematic break (checked before lists so "- - -" and "***" are rules)
+        if (HR_RE.test(line)) {
+            flushParagraph();
+            out.push('<hr>');
+            i++;
+            continue;
+        }
 
         // ATX headers
         const hMatch = H_RE.exec(line);
         if (hMatch) {
+            flushParagraph();
             const lvl = hMatch[1].length;
             out.push(`<h${lvl}>${inlineFormat(hMatch[2])}</h${lvl}>`);
+            i++;
+            continue;
+        }
+
+        // Blockquote (contents are parsed recursively; lazy continuation lines included)
+        if (QUOTE_RE.test(line)) {
+            flushParagraph();
+            const quoted = [];
+            while (i < lines.length && lines[i].trim() !== '') {
+                const q = QUOTE_RE.exec(lines[i]);
+                quoted.push(q ? q[1] : lines[i]);
+                i++;
+            }
+            out.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+            continue;
+        }
+
+        // Table: header row followed by a divider row
+        if (line.indexOf('|') !== -1 && i + 1 < lines.length && TABLE_DIVIDER_RE.test(lines[i + 1])) {
+            const header = splitTableRow(line);
+            const aligns = splitTableRow(lines[i + 1]).map(parseAlignment);
+            if (aligns.length === header.length) {
+                flushParagraph();
+                const rows = [];
+                i += 2;
+                while (i < lines.length && lines[i].trim() !== '' && lines[i].indexOf('|') !== -1) {
+                    rows.push(splitTableRow(lines[i]));
+                    i++;
+                }
+                out.push(renderTable(header, aligns, rows));
+                continue;
+            }
+        }
+
+        // Lists (nested and mixed ordered/unordered)
+        if (LIST_RE.test(line)) {
+            flushParagraph();
+            const listLines = [];
+            while (i < lines.length) {
+                const current = lines[i];
+                if (current.trim() === '') {
+                    // Blank line stays inside the list only if the list continues after it
+                    const next = lines[i + 1];
+                    if (next !== undefined && (LIST_RE.test(next) || /^\s+\S/.test(next))) {
+                        listLines.push(current);
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+                if (listLines.length && !LIST_RE.test(current) && !/^\s/.test(current) &&
+                    (H_RE.test(current) || HR_RE.test(current) || FENCE_RE.test(current) || QUOTE_RE.test(current))) {
+                    break;
+                }
+                listLines.push(current);
+                i++;
+            }
+            out.push(renderList(listLines));
             continue;
         }
 
         // Regular paragraph line
-        out.push(`<p>${inlineFormat(line)}</p>`);
+        paragraph.push(line);
+        i++;
     }
 
-    flushList();
+    flushParagraph();
 
     return out.join('');
 }
+
+function stripIndent(line, count) {
+    let n = 0;
+    while (n < count && line[n] === ' ') n++;
+    return line.substring(n);
+}
+
+function renderCodeBlock(code, lang) {
+    const langAttr = lang ? ` data-language="${escapeAttribute(lang)}"` : '';
+    return `<pre${langAttr}><code>${escapeHtml(code)}</code></pre>`;
+}
+
+// ---------------------------------------------------------------------------
+// Tables
+// ---------------------------------------------------------------------------
+
+function splitTableRow(row) {
+    let trimmed = row.trim();
+    if (trimmed.startsWith('|')) trimmed = trimmed.substring(1);
+    if (trimmed.endsWith('|') && !trimmed.endsWith('\\|')) trimmed = trimmed.substring(0, trimmed.length - 1);
+    const cells = [];
+    let cell = '';
+    let inCode = false;
+    for (let i = 0; i < trimmed.length; i++) {
+        const ch = trimmed[i];
+        if (ch === '\\' && trimmed[i + 1] === '|') {
+            cell += '|';
+            i++;
+        } else if (ch === '`') {
+            inCode = !inCode;
+            cell += ch;
+        } else if (ch === '|' && !inCode) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function parseAlignment(cell) {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+}
+
+function renderTable(header, aligns, rows) {
+    const cell = (tag, content, idx) => {
+        const align = aligns[idx];
+        const style = align ? ` style="text-align: ${align}"` : '';
+        return `<${tag}${style}>${inlineFormat(content || '')}</${tag}>`;
+    };
+    const head = `<thead><tr>${header.map((h, idx) => cell('th', h, idx)).join('')}</tr></thead>`;
+    const body = rows.length
+        ? `<tbody>${rows.map(r => `<tr>${header.map((h, idx) => cell('td', r[idx], idx)).join('')}</tr>`).join('')}</tbody>`
+        : '';
+    return `<table>${head}${body}</table>`;
+}
+
+// ---------------------------------------------------------------------------
+// Lists
+// ---------------------------------------------------------------------------
+
+function indentWidth(str) {
+    return str.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Renders a run of list lines. Items are grouped by the indentation of their marker;
+ * anything indented past a marker (sub-lists, continuation text, code) belongs to that item
+ * and is rendered recursively.
+ */
+function renderList(lines) {
+    const first = LIST_RE.exec(lines[0]);
+    const baseIndent = indentWidth(first[1]);
+    const items = [];
+
+    lines.forEach(line => {
+        const m = LIST_RE.exec(line);
+        if (m && indentWidth(m[1]) <= baseIndent) {
+            const ordered = /\d/.test(m[2]);
+            items.push({
+                ordered,
+                start: ordered ? parseInt(m[2], 10) : null,
+                contentIndent: indentWidth(m[1]) + m[2].length + 1,
+                lines: [m[3]]
+            });
+        } else if (items.length) {
+            const item = items[items.length - 1];
+            const dedent = Math.min(item.contentIndent, indentWidth(line.match(/^\s*/)[0]));
+            item.lines.push(line.trim() === '' ? '' : stripIndent(line.replace(/^\t/, '    '), dedent));
+        }
+    });
+
+    // Consecutive items of the same kind share one list; switching kind starts a new one
+    const html = [];
+    let group = [];
+    const flushGroup = () => {
+        if (!group.length) return;
+        const tag = group[0].ordered ? 'ol' : 'ul';
+        const start = group[0].ordered && group[0].start !== 1 ? ` start="${group[0].start}"` : '';
+        html.push(`<${tag}${start}>${group.map(renderListItem).join('')}</${tag}>`);
+        group = [];
+    };
+    items.forEach(item => {
+        if (group.length && group[0].ordered !== item.ordered) flushGroup();
+        group.push(item);
+    });
+    flushGroup();
+
+    return html.join('');
+}
+
+function renderListItem(item) {
+    let [firstLine, ...rest] = item.lines;
+    let prefix = '';
+    const task = TASK_RE.exec(firstLine);
+    if (task) {
+        prefix = task[1] === ' ' ? '☐ ' : '☑ ';
+        firstLine = task[2];
+    }
+    while (rest.length && rest[rest.length - 1] === '') rest.pop();
+
+    // Simple item: first line plus plain continuation lines stays inline (no wrapping <p>)
+    const nestedStart = rest.findIndex(l => l === '' || LIST_RE.test(l) || FENCE_RE.test(l) ||
+        QUOTE_RE.test(l) || H_RE.test(l) || INDENTED_CODE_RE.test(l));
+    const inlineLines = nestedStart === -1 ? rest : rest.slice(0, nestedStart);
+    const blockLines = nestedStart === -1 ? [] : rest.slice(nestedStart);
+
+    const text = [firstLine, ...inlineLines].map(l => inlineFormat(l.trim())).join('<br>');
+    const nested = blockLines.length ? renderBlocks(blockLines) : '';
+    return `<li>${prefix}${text}${nested}</li>`;
+}
@@ -0,0 +1,259 @@
+import { LightningElement, api, track } from 'lwc';
+import searchShareTargets from '@salesforce/apex/AgentGPTController.searchShareTargets';
+import shareSessionToChatter from '@salesforce/apex/AgentGPTController.shareSessionToChatter';
+import shareSessionWithUser from '@salesforce/apex/AgentGPTController.shareSessionWithUser';
+import getSessionShares from '@salesforce/apex/AgentGPTController.getSessionShares';
+import revokeSessionShare from '@salesforce/apex/AgentGPTController.revokeSessionShare';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { formatLabel } from 'c/conversationUtils';
+import { LABELS } from 'c/conversationLabels';
+
+const MODE_CHATTER = 'chatter';
+const MODE_COLLEAGUE = 'colleague';
+const SCOPE_EXCERPT = 'excerpt';
+const SCOPE_FULL = 'full';
+const EXCERPT_LABEL_CHARS = 60;
+
+/**
+ * Share dialog for one conversation: post an excerpt or the full transcript to a Chatter feed (user,
+ * Chatter group or the current record), or give a colleague read access. Fires "close" when done.
+ */
+export default class SessionShareDialog extends LightningElement {
+    @api sessionId;
+    /** Displayed messages of the conversation ({ timestamp, isUser, text, formattedTime }) */
+    @api messages = [];
+    /** Current record on record pages; offered as a feed to post to */
+    @api recordId;
+    /** Supervisor mode target, passed through to Apex for the access check */
+    @api viewAsId;
+    label = LABELS;
+    @track mode = MODE_CHATTER;
+    @track scope = SCOPE_EXCERPT;
+    @track excerptTimestamp;
+    @track note = '';
+    @track searchTerm = '';
+    @track targetResults = [];
+    @track isSearching = false;
+    /** Chatter destination ({ id, name, icon }) */
+    @track target = null;
+    @track shares = [];
+    @track isSaving = false;
+    @track error = '';
+
+    connectedCallback() {
+        const replies = this.agentReplies;
+        this.excerptTimestamp = replies.length > 0 ? replies[replies.length - 1].timestamp : undefined;
+        if (replies.length === 0) {
+            this.scope = SCOPE_FULL;
+        }
+        this.loadShares();
+    }
+
+    get modeOptions() {
+        return [
+            { label: LABELS.postToChatter, value: MODE_CHATTER },
+            { label: LABELS.shareWithColleague, value: MODE_COLLEAGUE }
+        ];
+    }
+
+    get isChatterMode() {
+        return this.mode === MODE_CHATTER;
+    }
+
+    get scopeOptions() {
+        return [
+            { label: LABELS.oneAnswer, value: SCOPE_EXCERPT },
+            { label: LABELS.fullTranscript, value: SCOPE_FULL }
+        ];
+    }
+
+    get isExcerpt() {
+        return this.scope === SCOPE_EXCERPT;
+    }
+
+    get agentReplies() {
+        return (this.messages || []).filter(msg => !msg.isUser);
+    }
+
+    get excerptOptions() {
+        return this.agentReplies.map(msg => {
+            const text = (msg.text || '').replace(/\s+/g, ' ').trim();
+            const snippet = text.length > EXCERPT_LABEL_CHARS ? `${text.substring(0, EXCERPT_LABEL_CHARS)}…` : text;
+            return { label: `${msg.formattedTime} · ${snippet}`, value: msg.timestamp };
+        });
+    }
+
+    get searchPlaceholder() {
+        return this.isChatterMode ? LABELS.searchPeopleAndGroups : LABELS.searchPeople;
+    }
+
+    get visibleResults() {
+        return this.isChatterMode ? this.targetResults : this.targetResults.filter(t => t.type === 'User');
+    }
+
+    get hasVisibleResults() {
+        return this.visibleResults.length > 0;
+    }
+
+    get showSearch() {
+        return !this.isChatterMode || !this.target;
+    }
+
+    get showRecordOption() {
+        return this.isChatterMode && !!this.recordId && !this.target;
+    }
+
+    get hasShares() {
+        return this.shares.length > 0;
+    }
+
+    get postDisabled() {
+        return this.isSaving || !this.target || (this.isExcerpt && !this.excerptTimestamp);
+    }
+
+    handleModeChange(event) {
+        this.mode = event.detail.value;
+        this.error = '';
+    }
+
+    handleScopeChange(event) {
+        this.scope = event.detail.value;
+    }
+
+    handleExcerptChange(event) {
+        this.excerptTimestamp = event.detail.value;
+    }
+
+    handleNoteChange(event) {
+        this.note = event.target.value;
+    }
+
+    async handleSearchChange(event) {
+        const term = (event.target.value || '').trim();
+        this.searchTerm = term;
+        if (term.length < 2) {
+            this.targetResults = [];
+            return;
+        }
+        this.isSearching = true;
+        try {
+            const targets = await searchShareTargets({ searchTerm: term });
+            if (this.searchTerm !== term) return;
+            this.targetResults = (targets || []).map(target => ({
+                ...target,
+                icon: target.type === 'Group' ? 'utility:groups' : 'utility:user'
+            }));
+        } catch (error) {
+            this.error = this.reduceError(error);
+        } finally {
+            if (this.searchTerm === term) {
+                this.isSearching = false;
+            }
+        }
+    }
+
+    handleResultSelect(event) {
+        const target = this.targetResults.find(t => t.id === event.currentTarget.dataset.id);
+        if (!target) return;
+        if (this.isChatterMode) {
+            this.target = { id: target.id, name: target.name, icon: target.icon };
+            this.clearSearch();
+        } else {
+            this.shareWithColleague(target);
+        }
+    }
+
+    handleRecordSelect() {
+        this.target = { id: this.recordId, name: LABELS.thisRecord, icon: 'utility:record' };
+    }
+
+    handleClearTarget() {
+        this.target = null;
+    }
+
+    async handlePost() {
+        if (this.postDisabled) return;
+        this.isSaving = true;
+        this.error = '';
+        try {
+            await shareSessionToChatter({
+                sessionId: this.sessionId,
+                targetId: this.target.id,
+                messageTimestamp: this.isExcerpt ? this.excerptTimestamp : null,
+                note: this.note,
+                viewAsId: this.viewAsId || null
+            });
+            this.showSuccess(formatLabel(LABELS.postedTo, this.target.name));
+            this.close();
+        } catch (error) {
+            this.error = this.reduceError(error);
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    async shareWithColleague(colleague) {
+        this.isSaving = true;
+        this.error = '';
+        try {
+            const share = await shareSessionWithUser({
+                sessionId: this.sessionId,
+                userId: colleague.id,
+                viewAsId: this.viewAsId || null
+            });
+            if (!this.shares.some(s => s.shareId === share.shareId)) {
+                this.shares = [...this.shares, share];
+            }
+            this.clearSearch();
+            this.showSuccess(formatLabel(LABELS.colleagueCanOpen, colleague.name));
+        } catch (error) {
+            this.error = this.reduceError(error);
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    async handleRevoke(event) {
+        const { shareId } = event.currentTarget.dataset;
+        this.error = '';
+        try {
+            await revokeSessionShare({ shareId });
+            this.shares = this.shares.filter(s => s.shareId !== shareId);
+        } catch (error) {
+            this.error = this.reduceError(error);
+        }
+    }
+
+    async loadShares() {
+        try {
+            this.shares = (await getSessionShares({ sessionId: this.sessionId })) || [];
+        } catch (error) {
+            this.error = this.reduceError(error);
+        }
+    }
+
+    clearSearch() {
+        this.searchTerm = '';
+        this.targetResults = [];
+    }
+
+    handleClose() {
+        this.close();
+    }
+
+    handleDialogClick(event) {
+        event.stopPropagation();
+    }
+
+    close() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    showSuccess(message) {
+        this.dispatchEvent(new ShowToastEvent({ title: LABELS.shared, message, variant: 'success' }));
+    }
+
+    reduceError(error) {
+        return (error && error.body && error.body.message) || (error && error.message) || LABELS.somethingWentWrong;
+    }
+}
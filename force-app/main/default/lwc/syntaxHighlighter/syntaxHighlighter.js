@@ -0,0 +1,244 @@
+/**
+ * Small, dependency-free syntax highlighter for code blocks in agent replies.
+ * Runs entirely in the component (no CDN / static resource), so it works offline under Locker / LWS.
+ *
+ * highlight() returns an HTML string in which every character of the input is escaped and tokens
+ * are wrapped in <span class="tok-TYPE"> elements. Styling for the token classes lives in c/codeBlock.
+ */
+
+const SQL_KEYWORDS = [
+    'select', 'from', 'where', 'and', 'or', 'not', 'in', 'like', 'includes', 'excludes', 'order', 'by',
+    'group', 'having', 'limit', 'offset', 'asc', 'desc', 'nulls', 'first', 'last', 'with', 'as', 'join',
+    'left', 'right', 'inner', 'outer', 'full', 'on', 'using', 'union', 'all', 'distinct', 'case', 'when',
+    'then', 'else', 'end', 'insert', 'into', 'values', 'update', 'set', 'delete', 'is', 'between',
+    'exists', 'interval', 'find', 'returning', 'typeof', 'for', 'view', 'reference', 'security_enforced',
+    'user_mode', 'system_mode', 'rollup', 'cube', 'format', 'above', 'below', 'at', 'data', 'category'
+];
+
+const SQL_FUNCTIONS = [
+    'count', 'count_distinct', 'sum', 'avg', 'min', 'max', 'calendar_year', 'calendar_month',
+    'calendar_quarter', 'day_only', 'day_in_month', 'day_in_week', 'hour_in_day', 'fiscal_year',
+    'convertcurrency', 'tolabel', 'format', 'grouping', 'coalesce', 'cast', 'date_trunc', 'current_date',
+    'current_timestamp', 'lower', 'upper', 'length', 'substring', 'now'
+];
+
+const SQL_LITERALS = [
+    'true', 'false', 'null', 'today', 'yesterday', 'tomorrow', 'last_week', 'this_week', 'next_week',
+    'last_month', 'this_month', 'next_month', 'last_90_days', 'next_90_days', 'this_quarter',
+    'last_quarter', 'next_quarter', 'this_year', 'last_year', 'next_year'
+];
+
+const APEX_KEYWORDS = [
+    'abstract', 'after', 'before', 'break', 'catch', 'class', 'continue', 'delete', 'do', 'else', 'enum',
+    'extends', 'final', 'finally', 'for', 'global', 'if', 'implements', 'insert', 'instanceof', 'interface',
+    'merge', 'new', 'on', 'override', 'private', 'protected', 'public', 'return', 'static', 'super',
+    'switch', 'testmethod', 'this', 'throw', 'transient', 'trigger', 'try', 'undelete', 'update', 'upsert',
+    'virtual', 'void', 'webservice', 'when', 'while', 'with', 'without', 'sharing', 'inherited', 'get', 'set',
+    'const', 'let', 'var', 'function', 'async', 'await', 'import', 'export', 'default', 'of', 'in', 'typeof',
+    'yield', 'case', 'package', 'throws', 'synchronized', 'volatile', 'native'
+];
+
+const APEX_TYPES = [
+    'string', 'integer', 'long', 'decimal', 'double', 'boolean', 'date', 'datetime', 'time', 'id', 'blob',
+    'object', 'sobject', 'list', 'set', 'map', 'int', 'char', 'byte', 'short', 'float', 'number', 'promise'
+];
+
+const SHELL_KEYWORDS = [
+    'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac', 'in',
+    'function', 'return', 'export', 'local', 'readonly', 'echo', 'cd', 'sudo', 'exit', 'source', 'set', 'unset'
+];
+
+const wordSet = words => new Set(words);
+
+/**
+ * Builds a keyword matcher: classifies a bare identifier by (optionally case-insensitive) set lookup.
+ */
+function classifyWord(sets, caseInsensitive) {
+    return word => {
+        const key = caseInsensitive ? word.toLowerCase() : word;
+        for (const [type, set] of sets) {
+            if (set.has(key)) return type;
+        }
+        return null;
+    };
+}
+
+// Each grammar is an ordered list of [tokenType, stickyRegex]; 'word' tokens are classified by keyword sets.
+const GRAMMARS = {
+    sql: {
+        rules: [
+            ['comment', /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['string', /'(?:[^'\\]|\\.|'')*'?/y],
+            ['property', /"(?:[^"\\]|\\.)*"?/y],
+            ['variable', /:[A-Za-z_]\w*/y],
+            ['number', /\b\d+(?:\.\d+)?\b/y],
+            ['word', /[A-Za-z_]\w*/y],
+            ['operator', /[=<>!]=?|[+\-*/%]|\|\|/y]
+        ],
+        classify: classifyWord([
+            ['keyword', wordSet(SQL_KEYWORDS)],
+            ['function', wordSet(SQL_FUNCTIONS)],
+            ['literal', wordSet(SQL_LITERALS)]
+        ], true)
+    },
+    apex: {
+        rules: [
+            ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+            ['string', /'(?:[^'\\\n]|\\.)*'?|"(?:[^"\\\n]|\\.)*"?|`(?:[^`\\]|\\.)*`?/y],
+            ['annotation', /@[A-Za-z_]\w*/y],
+            ['number', /\b\d+(?:\.\d+)?[LlDdFf]?\b/y],
+            ['word', /[A-Za-z_$][\w$]*/y],
+            ['operator', /=>|[=!<>]=?=?|&&|\|\||[+\-*/%?:]/y]
+        ],
+        classify: classifyWord([
+            ['keyword', wordSet(APEX_KEYWORDS)],
+            ['type', wordSet(APEX_TYPES)],
+            ['literal', wordSet(['true', 'false', 'null', 'undefined'])]
+        ], true)
+    },
+    json: {
+        rules: [
+            ['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+            ['string', /"(?:[^"\\\n]|\\.)*"?/y],
+            ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y],
+            ['word', /[A-Za-z_]\w*/y]
+        ],
+        classify: classifyWord([['literal', wordSet(['true', 'false', 'null'])]], false)
+    },
+    shell: {
+        rules: [
+            ['comment', /#[^\n]*/y],
+            ['string', /'[^']*'?|"(?:[^"\\]|\\.)*"?/y],
+            ['variable', /\$\{[^}]*\}?|\$[A-Za-z_]\w*|\$[0-9@#?$!*-]/y],
+            ['flag', /--?[A-Za-z][\w-]*/y],
+            ['number', /\b\d+\b/y],
+            ['word', /[A-Za-z_][\w.-]*/y],
+            ['operator', /&&|\|\||[|;&<>]/y]
+        ],
+        classify: classifyWord([['keyword', wordSet(SHELL_KEYWORDS)]], false)
+    },
+    xml: {
+        rules: [
+            ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+            ['tag', /<\/?[A-Za-z][\w:.-]*|\/?>/y],
+            ['string', /"[^"]*"?|'[^']*'?/y],
+            ['property', /[A-Za-z_:][\w:.-]*(?==)/y]
+        ],
+        classify: () => null
+    }
+};
+
+const LANGUAGE_ALIASES = {
+    sql: 'sql', soql: 'sql', sosl: 'sql', dcsql: 'sql',
+    apex: 'apex', cls: 'apex', java: 'apex', javascript: 'apex', js: 'apex', typescript: 'apex', ts: 'apex',
+    json: 'json',
+    shell: 'shell', sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell', cli: 'shell',
+    xml: 'xml', html: 'xml'
+};
+
+const LANGUAGE_LABELS = {
+    sql: 'SQL', soql: 'SOQL', sosl: 'SOSL', dcsql: 'SQL', apex: 'Apex', cls: 'Apex', java: 'Java',
+    javascript: 'JavaScript', js: 'JavaScript', typescript: 'TypeScript', ts: 'TypeScript', json: 'JSON',
+    shell: 'Shell', sh: 'Shell', bash: 'Bash', zsh: 'Zsh', console: 'Shell', cli: 'Shell', xml: 'XML', html: 'HTML'
+};
+
+function escapeHtml(str) {
+    return str
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Best-effort language guess for unlabelled fences so common agent output still gets highlighted.
+ */
+function detectLanguage(code) {
+    const trimmed = code.trim();
+    if (!trimmed) return null;
+    if (/^[[{]/.test(trimmed)) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (e) {
+            // fall through
+        }
+    }
+    if (/^\s*(SELECT|FIND|WITH)\b/i.test(trimmed)) return 'sql';
+    if (/^\s*(\$ |sf |sfdx |npm |git |curl |cd |export )/m.test(trimmed)) return 'shell';
+    if (/^\s*</.test(trimmed)) return 'xml';
+    if (/\b(public|private|global)\s+(static\s+)?(class|void|String|Integer|List|Map)\b/.test(trimmed)) return 'apex';
+    return null;
+}
+
+/**
+ * Canonical grammar key for a fence language (e.g. "soql" → "sql"), or null when unsupported.
+ *
+ * @param {string} language - Language from the fence info string
+ * @returns {string|null}
+ */
+export function normalizeLanguage(language) {
+    if (!language) return null;
+    return LANGUAGE_ALIASES[String(language).toLowerCase()] || null;
+}
+
+/**
+ * Human-readable label for a fence language ("soql" → "SOQL"); unknown languages are shown as given,
+ * and a missing language gives ''.
+ *
+ * @param {string} language - Language from the fence info string
+ * @returns {string}
+ */
+export function getLanguageLabel(language) {
+    if (!language) return '';
+    return LANGUAGE_LABELS[String(language).toLowerCase()] || language;
+}
+
+/**
+ * Returns highlighted HTML for the code. Unknown languages are auto-detected; if that fails the
+ * code is returned escaped with no token markup.
+ *
+ * @param {string} code - Raw code text
+ * @param {string} language - Language from the fence info string (optional)
+ * @returns {string} HTML string
+ */
+export function highlight(code, language) {
+    if (!code) return '';
+    const grammar = GRAMMARS[normalizeLanguage(language) || detectLanguage(code)];
+    if (!grammar) return escapeHtml(code);
+
+    const out = [];
+    let plain = '';
+    let pos = 0;
+    const flushPlain = () => {
+        if (plain) {
+            out.push(escapeHtml(plain));
+            plain = '';
+        }
+    };
+
+    while (pos < code.length) {
+        let matched = false;
+        for (const [type, regex] of grammar.rules) {
+            regex.lastIndex = pos;
+            const m = regex.exec(code);
+            if (m && m[0].length > 0) {
+                const tokenType = type === 'word' ? grammar.classify(m[0]) : type;
+                if (tokenType) {
+                    flushPlain();
+                    out.push(`<span class="tok-${tokenType}">${escapeHtml(m[0])}</span>`);
+                } else {
+                    plain += m[0];
+                }
+                pos += m[0].length;
+                matched = true;
+                break;
+            }
+        }
+        if (!matched) {
+            plain += code[pos];
+            pos++;
+        }
+    }
+    flushPlain();
+    return out.join('');
+}
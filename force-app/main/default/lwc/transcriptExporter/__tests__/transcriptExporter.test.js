@@ -0,0 +1,73 @@
+import { buildTranscript } from 'c/transcriptExporter';
+import { LABELS } from 'c/conversationLabels';
+
+function transcript(texts) {
+    return {
+        title: 'Expenses',
+        agentName: 'HR_Agent',
+        startTime: '2026-10-18T09:00:00.000Z',
+        startTimeLabel: 'Oct 18, 2026, 9:00 AM',
+        timeZone: 'UTC',
+        messages: texts.map((text, i) => ({
+            role: i % 2 ? 'AGENT' : 'USER',
+            roleLabel: i % 2 ? 'HR_Agent' : 'You',
+            isUser: i % 2 === 0,
+            timestamp: `2026-10-18 09:00:0${i}.000`,
+            formattedTime: '9:00 AM',
+            text
+        }))
+    };
+}
+
+describe('c-transcript-exporter', () => {
+    describe('csv', () => {
+        it('prefixes cells that would be read as formulas', () => {
+            const csv = buildTranscript(transcript(['=HYPERLINK("http://x.test","y")', '+1', '-2', '@SUM(A1)', 'plain']), 'csv');
+            const lines = csv.split('\r\n');
+
+            expect(lines[1].endsWith(`,"'=HYPERLINK(""http://x.test"",""y"")"`)).toBe(true);
+            expect(lines[2].endsWith(",'+1")).toBe(true);
+            expect(lines[3].endsWith(",'-2")).toBe(true);
+            expect(lines[4].endsWith(",'@SUM(A1)")).toBe(true);
+            expect(lines[5].endsWith(',plain')).toBe(true);
+        });
+
+        it('takes its column headers from Custom Labels', () => {
+            const header = buildTranscript(transcript(['Hi']), 'csv').split('\r\n')[0];
+
+            expect(header).toBe('\uFEFF' + [
+                LABELS.sessionTitle, LABELS.agent, LABELS.sessionStart, LABELS.role,
+                LABELS.sender, LABELS.time, LABELS.timestampUtc, LABELS.message
+            ].join(','));
+        });
+    });
+
+    describe('html', () => {
+        it('escapes markup in HTML messages instead of passing it through', () => {
+            const html = buildTranscript(transcript([
+                '<p>x</p><img src=x onerror=alert(1)>',
+                '<div>Hi</div><script>alert(2)</script>'
+            ]), 'html');
+
+            expect(html).not.toMatch(/<img|<script|onerror=/i);
+            expect(html).toContain('<p>x</p>');
+            expect(html).toContain('Hi');
+        });
+
+        it('still renders markdown and drops unsafe links', () => {
+            const html = buildTranscript(transcript(['**Done** [open](javascript:alert(1)) if 1 < 2']), 'html');
+
+            expect(html).toContain('<strong>Done</strong>');
+            expect(html).not.toContain('href="javascript:');
+            expect(html).toContain('if 1 &lt; 2');
+        });
+
+        it("is marked with the user's language and labels its header", () => {
+            const html = buildTranscript(transcript(['Hi', 'Hello']), 'html');
+
+            expect(html).toContain('<html lang="en" dir="ltr">');
+            expect(html).toContain(LABELS.messageCount.other);
+            expect(html).not.toContain('Started:');
+        });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Builds downloadable transcripts of a conversation (Markdown, JSON, CSV, print-ready HTML).
+ *
+ * Callers pass an already-labelled transcript so exported files match the screen:
+ * {
+ *   title, agentName, startTime (raw), startTimeLabel (user timezone), timeZone,
+ *   messages: [{ role, roleLabel, isUser, timestamp (raw), formattedTime (user timezone), text }]
+ * }
+ * Headings, CSV columns and the HTML language follow the user's language.
+ */
+import LANG from '@salesforce/i18n/lang';
+import { renderEscapedContent } from 'c/messageFormatter';
+import { formatLabel, pluralLabel, TEXT_DIRECTION } from 'c/conversationUtils';
+import { LABELS } from 'c/conversationLabels';
+
+export const EXPORT_FORMATS = {
+    markdown: { label: LABELS.exportMarkdown, extension: 'md', mimeType: 'text/markdown' },
+    json: { label: LABELS.exportJson, extension: 'json', mimeType: 'application/json' },
+    csv: { label: LABELS.exportCsv, extension: 'csv', mimeType: 'text/csv' },
+    html: { label: LABELS.exportHtml, extension: 'html', mimeType: 'text/html' }
+};
+
+const BUILDERS = {
+    markdown: buildMarkdown,
+    json: buildJson,
+    csv: buildCsv,
+    html: buildHtml
+};
+
+/**
+ * Returns the file content for a transcript in the given format.
+ *
+ * @param {object} transcript - Labelled transcript (see module comment)
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @returns {string}
+ */
+export function buildTranscript(transcript, format) {
+    const builder = BUILDERS[format];
+    if (!builder) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+    return builder(transcript);
+}
+
+/**
+ * File name for an export, e.g. "Reset-my-password-2026-10-18.md".
+ *
+ * @param {object} transcript - Labelled transcript
+ * @param {string} format - One of the EXPORT_FORMATS keys
+ * @returns {string}
+ */
+export function buildFileName(transcript, format) {
+    const base = (transcript.title || 'conversation')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .replace(/\s+/g, '-')
+        .substring(0, 60) || 'conversation';
+    const start = new Date(transcript.startTime);
+    const datePart = isNaN(start.getTime()) ? '' : `-${start.toISOString().substring(0, 10)}`;
+    return `${base}${datePart}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Triggers a browser download of the content. Uses a data URI so it works under Locker / LWS
+ * (no Blob URLs or window.open needed).
+ *
+ * @param {HTMLElement} container - Element (lwc:dom="manual") the temporary link is attached to
+ * @param {string} content - File content
+ * @param {string} fileName - Download file name
+ * @param {string} mimeType - MIME type for the data URI
+ */
+export function downloadFile(container, content, fileName, mimeType) {
+    const link = document.createElement('a');
+    link.href = `data:${mimeType};charset=utf-8,${encodeURIComponent(content)}`;
+    link.download = fileName;
+    link.style.display = 'none';
+    container.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+// ---------------------------------------------------------------------------
+// Format builders
+// ---------------------------------------------------------------------------
+
+function buildMarkdown(t) {
+    const lines = [
+        `# ${t.title || LABELS.conversation}`,
+        '',
+        `- ${formatLabel(LABELS.transcriptAgent, t.agentName || '')}`,
+        `- ${formatLabel(LABELS.transcriptStarted, startedLabel(t))}`,
+        `- ${pluralLabel(LABELS.messageCount, (t.messages || []).length)}`,
+        '',
+        '---',
+        ''
+    ];
+    (t.messages || []).forEach(msg => {
+        lines.push(`### ${msg.roleLabel}${msg.formattedTime ? ` · ${msg.formattedTime}` : ''}`);
+        lines.push('');
+        lines.push(msg.text || '');
+        lines.push('');
+    });
+    return lines.join('\n');
+}
+
+/** Start time with its time zone, e.g. "Oct 18, 9:00 AM (Europe/Paris)" */
+function startedLabel(t) {
+    return `${t.startTimeLabel || ''}${t.timeZone ? ` (${t.timeZone})` : ''}`;
+}
+
+function buildJson(t) {
+    return JSON.stringify({
+        title: t.title,
+        agentName: t.agentName,
+        startTime: t.startTime,
+        startTimeLabel: t.startTimeLabel,
+        timeZone: t.timeZone,
+        messages: (t.messages || []).map(msg => ({
+            role: msg.role,
+            roleLabel: msg.roleLabel,
+            timestamp: msg.timestamp,
+            formattedTime: msg.formattedTime,
+            text: msg.text
+        }))
+    }, null, 2);
+}
+
+// Cells starting like a formula are prefixed with ' so Excel and Sheets open them as text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    let str = value == null ? '' : String(value);
+    if (FORMULA_START.test(str)) {
+        str = `'${str}`;
+    }
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function buildCsv(t) {
+    const rows = [[
+        LABELS.sessionTitle, LABELS.agent, LABELS.sessionStart, LABELS.role,
+        LABELS.sender, LABELS.time, LABELS.timestampUtc, LABELS.message
+    ]];
+    (t.messages || []).forEach(msg => {
+        rows.push([t.title, t.agentName, t.startTimeLabel, msg.role, msg.roleLabel, msg.formattedTime, msg.timestamp, msg.text]);
+    });
+    // Leading BOM so Excel opens UTF-8 correctly
+    return '\uFEFF' + rows.map(r => r.map(csvCell).join(',')).join('\r\n');
+}
+
+function escapeHtml(str) {
+    return String(str == null ? '' : str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const PRINT_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; color: #1a2432; margin: 2rem auto; max-width: 800px; line-height: 1.5; }
+h1 { font-size: 1.5rem; margin: 0 0 0.5rem; }
+.meta { color: #64748b; font-size: 0.875rem; margin-bottom: 1.5rem; border-bottom: 1px solid #cbd5e1; padding-bottom: 1rem; }
+.message { margin: 0 0 1.25rem; page-break-inside: avoid; }
+.label { font-size: 0.75rem; font-weight: 700; text-transform: uppercase; letter-spacing: 0.05em; color: #136dec; }
+.user .label { color: #475569; }
+.time { font-weight: 400; color: #64748b; text-transform: none; letter-spacing: 0; margin-inline-start: 0.5rem; }
+.bubble { border: 1px solid #cbd5e1; border-radius: 0.5rem; padding: 0.75rem 1rem; margin-top: 0.25rem; }
+.user .bubble { background: #eff6ff; }
+pre { background: #f1f5f9; padding: 0.75rem; border-radius: 0.25rem; overflow-x: auto; white-space: pre-wrap; }
+table { border-collapse: collapse; } th, td { border: 1px solid #cbd5e1; padding: 0.25rem 0.5rem; }
+@media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+`;
+
+function buildHtml(t) {
+    const messages = (t.messages || []).map(msg => `
+<div class="message ${msg.isUser ? 'user' : 'agent'}">
+  <div class="label">${escapeHtml(msg.roleLabel)}<span class="time">${escapeHtml(msg.formattedTime)}</span></div>
+  <div class="bubble">${renderEscapedContent(msg.text)}</div>
+</div>`).join('');
+    const meta = [
+        formatLabel(LABELS.transcriptAgent, t.agentName || ''),
+        formatLabel(LABELS.transcriptStarted, startedLabel(t)),
+        pluralLabel(LABELS.messageCount, (t.messages || []).length)
+    ].join(' · ');
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(LANG)}" dir="${TEXT_DIRECTION}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t.title || LABELS.conversation)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(t.title || LABELS.conversation)}</h1>
+<div class="meta">${escapeHtml(meta)}</div>
+${messages}
+</body>
+</html>`;
+}